@@ -0,0 +1,115 @@
+/**
+ * ProbeCard - Shared layout for the App Router probe pages
+ *
+ * A Server Component: it renders on the server only and ships no JavaScript,
+ * which is itself part of what the App Router probe exercises.
+ *
+ * @param {object} props
+ * @param {string} props.title - The page title shown in the header
+ * @param {string} props.color - The header/accent color
+ * @param {string} props.description - One line about what the page tests
+ * @param {React.ReactNode} props.children - The page content
+ */
+
+import Link from 'next/link';
+
+export function Field({ label, value }) {
+  return (
+    <div style={{ marginBottom: '20px' }}>
+      <label style={{
+        display: 'block',
+        fontSize: '0.875rem',
+        fontWeight: '600',
+        color: '#4b5563',
+        marginBottom: '8px',
+        textTransform: 'uppercase',
+        letterSpacing: '0.05em'
+      }}>
+        {label}
+      </label>
+      <div style={{
+        backgroundColor: '#f9fafb',
+        border: '1px solid #e5e7eb',
+        borderRadius: '6px',
+        padding: '12px 16px',
+        fontFamily: 'monospace',
+        fontSize: '1.1rem',
+        color: '#111827',
+        wordBreak: 'break-all'
+      }}>
+        {value}
+      </div>
+    </div>
+  );
+}
+
+export default function ProbeCard({ title, color, description, children }) {
+  return (
+    <div style={{
+      minHeight: '100vh',
+      display: 'flex',
+      flexDirection: 'column',
+      alignItems: 'center',
+      justifyContent: 'center',
+      backgroundColor: '#f5f5f5',
+      fontFamily: 'system-ui, -apple-system, sans-serif',
+      padding: '20px'
+    }}>
+      {/* Header Section */}
+      <div style={{
+        backgroundColor: color,
+        color: 'white',
+        padding: '16px 32px',
+        borderRadius: '8px',
+        marginBottom: '2rem'
+      }}>
+        <h1 style={{ margin: 0, fontSize: '2rem' }}>
+          {title}
+        </h1>
+      </div>
+
+      {/* Main Content Card */}
+      <div style={{
+        backgroundColor: 'white',
+        padding: '40px',
+        borderRadius: '12px',
+        boxShadow: '0 4px 6px rgba(0,0,0,0.1)',
+        maxWidth: '600px',
+        width: '100%',
+        boxSizing: 'border-box'
+      }}>
+        <p style={{ marginTop: 0, marginBottom: '24px', color: '#4b5563' }}>{description}</p>
+
+        {children}
+
+        {/* Navigation */}
+        <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap', marginTop: '24px' }}>
+          <Link href="/" style={{
+            flex: '1',
+            padding: '12px 24px',
+            backgroundColor: '#6b7280',
+            color: 'white',
+            textDecoration: 'none',
+            borderRadius: '6px',
+            textAlign: 'center',
+            fontWeight: '500'
+          }}>
+            ← Back to Home
+          </Link>
+          <Link href="/app-router" style={{
+            flex: '1',
+            padding: '12px 24px',
+            backgroundColor: color,
+            color: 'white',
+            textDecoration: 'none',
+            borderRadius: '6px',
+            textAlign: 'center',
+            fontWeight: '500'
+          }}>
+            App Router Tests
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+}
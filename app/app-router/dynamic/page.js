@@ -0,0 +1,27 @@
+/**
+ * App Router Dynamic Rendering Test - counterpart of pages/ssr.js
+ *
+ * dynamic = 'force-dynamic' makes this Server Component render on every
+ * request, like getServerSideProps. The timestamp should change on every
+ * refresh.
+ */
+
+import ProbeCard, { Field } from '../ProbeCard';
+import { collectProbeData } from '../../../lib/probe';
+
+export const dynamic = 'force-dynamic';
+
+export default function DynamicPage() {
+  const probe = collectProbeData('app-dynamic');
+
+  return (
+    <ProbeCard
+      title="App Router: Dynamic"
+      color="#0070f3"
+      description="⚡ Rendered by a React Server Component on EVERY request. Refresh - the time should update."
+    >
+      <Field label="Server Render Time:" value={probe.renderTime} />
+      <Field label="Server Hostname (Pod/Container ID):" value={probe.hostname} />
+    </ProbeCard>
+  );
+}
@@ -0,0 +1,47 @@
+/**
+ * App Router Probe - Overview
+ *
+ * The App Router (app/) needs different platform support than the Pages
+ * Router: React Server Components, streaming, the data cache with
+ * revalidatePath/revalidateTag, and Server Actions. Each page below is the
+ * App Router counterpart of one Pages Router test.
+ */
+
+import Link from 'next/link';
+import ProbeCard from './ProbeCard';
+import { getRevalidateSeconds, formatDuration } from '../../lib/revalidate';
+
+const TESTS = [
+  { href: '/app-router/dynamic', title: 'Dynamic Rendering', text: 'Rendered on every request - the App Router counterpart of /ssr' },
+  { href: '/app-router/revalidated', title: 'Time-Based Revalidation', text: `Cached and regenerated every ${formatDuration(getRevalidateSeconds())} - the counterpart of /isr` },
+  { href: '/app-router/tagged', title: 'Tag Revalidation', text: 'Cached until revalidateTag or revalidatePath runs from a Server Action' },
+  { href: '/app-router/streaming', title: 'Streaming with Suspense', text: 'Sections stream in one by one as they finish rendering' },
+];
+
+export default function AppRouterPage() {
+  return (
+    <ProbeCard
+      title="App Router Tests"
+      color="#111827"
+      description="Counterparts of the SSR and ISR pages, built with the App Router."
+    >
+      <ul style={{ listStyle: 'none', padding: 0, margin: 0 }}>
+        {TESTS.map((test) => (
+          <li key={test.href} style={{ marginBottom: '12px' }}>
+            <Link href={test.href} style={{
+              display: 'block',
+              padding: '16px',
+              border: '1px solid #e5e7eb',
+              borderRadius: '8px',
+              textDecoration: 'none',
+              color: '#111827'
+            }}>
+              <strong>{test.title}</strong>
+              <div style={{ fontSize: '0.9rem', color: '#6b7280', marginTop: '4px' }}>{test.text}</div>
+            </Link>
+          </li>
+        ))}
+      </ul>
+    </ProbeCard>
+  );
+}
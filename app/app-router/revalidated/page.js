@@ -0,0 +1,39 @@
+/**
+ * App Router Time-Based Revalidation Test - counterpart of pages/isr.js
+ *
+ * The probe data is cached with unstable_cache for the same window as
+ * pages/isr.js, read from ISR_REVALIDATE_SECONDS (see lib/revalidate.js). The
+ * page takes over that window: it is generated at build time, served from
+ * cache, and regenerated in the background once the window has passed.
+ *
+ * NOTE: Next.js reads segment options statically, so the `revalidate`
+ * segment option would have to be a literal and could not follow the env var.
+ */
+
+import { unstable_cache } from 'next/cache';
+import ProbeCard, { Field } from '../ProbeCard';
+import { collectProbeData } from '../../../lib/probe';
+import { getRevalidateSeconds, formatDuration } from '../../../lib/revalidate';
+
+const revalidateSeconds = getRevalidateSeconds();
+
+const getRevalidatedProbe = unstable_cache(
+  async () => collectProbeData('app-revalidate'),
+  ['app-router-revalidated-probe'],
+  { revalidate: revalidateSeconds }
+);
+
+export default async function RevalidatedPage() {
+  const probe = await getRevalidatedProbe();
+
+  return (
+    <ProbeCard
+      title="App Router: Revalidated"
+      color="#10b981"
+      description={`⚡ Cached for ${formatDuration(revalidateSeconds)}, then regenerated in the background. Refresh - the time stays frozen inside the window.`}
+    >
+      <Field label="Page Generation Time:" value={probe.renderTime} />
+      <Field label="Server Hostname (Pod/Container that built this version):" value={probe.hostname} />
+    </ProbeCard>
+  );
+}
@@ -0,0 +1,58 @@
+/**
+ * App Router Streaming Test
+ *
+ * The page shell is sent immediately; three sections wrapped in <Suspense>
+ * take 1, 2 and 3 seconds to render and are streamed in as each finishes.
+ * Each section shows the server time it finished rendering.
+ *
+ * HOW TO READ IT:
+ * - Streaming works: the sections appear one by one, about a second apart
+ * - A proxy buffers the response: nothing shows for ~3 seconds, then the
+ *   whole page appears at once
+ */
+
+import { Suspense } from 'react';
+import ProbeCard, { Field } from '../ProbeCard';
+import { getHostname } from '../../../lib/probe';
+
+export const dynamic = 'force-dynamic';
+
+const SECTION_DELAYS_MS = [1000, 2000, 3000];
+
+async function SlowSection({ delayMs }) {
+  await new Promise((resolve) => setTimeout(resolve, delayMs));
+
+  return <Field label={`Section after ${delayMs / 1000}s - rendered at:`} value={new Date().toISOString()} />;
+}
+
+function Placeholder({ delayMs }) {
+  return (
+    <div style={{
+      marginBottom: '20px',
+      padding: '12px 16px',
+      border: '1px dashed #d1d5db',
+      borderRadius: '6px',
+      color: '#9ca3af'
+    }}>
+      ⏳ Streaming section ({delayMs / 1000}s)...
+    </div>
+  );
+}
+
+export default function StreamingPage() {
+  return (
+    <ProbeCard
+      title="App Router: Streaming"
+      color="#f97316"
+      description="🌊 Sections below should appear one by one, about a second apart."
+    >
+      <Field label="Shell rendered at:" value={new Date().toISOString()} />
+      <Field label="Server Hostname:" value={getHostname()} />
+      {SECTION_DELAYS_MS.map((delayMs) => (
+        <Suspense key={delayMs} fallback={<Placeholder delayMs={delayMs} />}>
+          <SlowSection delayMs={delayMs} />
+        </Suspense>
+      ))}
+    </ProbeCard>
+  );
+}
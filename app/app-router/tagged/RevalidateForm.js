@@ -0,0 +1,59 @@
+'use client';
+
+/**
+ * RevalidateForm - Client Component that submits the revalidation Server Action
+ *
+ * After a successful revalidation Next.js re-renders the page in place, so
+ * the generation time above the form jumps without a manual reload.
+ */
+
+import { useFormState } from 'react-dom';
+import { revalidateProbe } from './actions';
+
+export default function RevalidateForm() {
+  const [result, formAction] = useFormState(revalidateProbe, null);
+
+  const buttonStyle = {
+    padding: '8px 16px',
+    backgroundColor: '#7c3aed',
+    color: 'white',
+    border: 'none',
+    borderRadius: '6px',
+    fontWeight: '500',
+    cursor: 'pointer'
+  };
+
+  return (
+    <form action={formAction} style={{
+      backgroundColor: '#f9fafb',
+      border: '1px solid #e5e7eb',
+      borderRadius: '8px',
+      padding: '16px'
+    }}>
+      <h3 style={{ margin: '0 0 12px 0', fontSize: '1rem', color: '#333' }}>Revalidate via Server Action</h3>
+      <input
+        type="password"
+        name="secret"
+        placeholder="REVALIDATE_SECRET"
+        style={{
+          width: '100%',
+          padding: '8px 12px',
+          border: '1px solid #d1d5db',
+          borderRadius: '6px',
+          fontFamily: 'monospace',
+          marginBottom: '8px',
+          boxSizing: 'border-box'
+        }}
+      />
+      <div style={{ display: 'flex', gap: '8px' }}>
+        <button type="submit" name="mode" value="tag" style={buttonStyle}>revalidateTag</button>
+        <button type="submit" name="mode" value="path" style={buttonStyle}>revalidatePath</button>
+      </div>
+      {result && (
+        <p style={{ margin: '12px 0 0 0', fontSize: '0.85rem', color: result.ok ? '#047857' : '#b91c1c' }}>
+          {result.ok ? '✅' : '❌'} {result.message} at {result.at}
+        </p>
+      )}
+    </form>
+  );
+}
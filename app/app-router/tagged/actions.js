@@ -0,0 +1,47 @@
+'use server';
+
+/**
+ * Server Actions for the tag revalidation test
+ *
+ * Both actions are protected by the same REVALIDATE_SECRET as
+ * /api/revalidate, typed into the form by the tester.
+ */
+
+import { revalidatePath, revalidateTag } from 'next/cache';
+import { PROBE_TAG } from './tag';
+import { secretMatches } from '../../../lib/secret';
+
+/**
+ * Checks the submitted secret against REVALIDATE_SECRET, in constant time.
+ */
+function checkSecret(formData) {
+  if (!process.env.REVALIDATE_SECRET) {
+    return 'REVALIDATE_SECRET is not configured on the server';
+  }
+  if (!secretMatches(formData.get('secret'), process.env.REVALIDATE_SECRET)) {
+    return 'Invalid revalidation secret';
+  }
+  return null;
+}
+
+/**
+ * revalidateProbe - Runs revalidateTag or revalidatePath, chosen by the form
+ *
+ * @param {object} previousState - The last result (from useFormState)
+ * @param {FormData} formData - Contains "secret" and "mode" ('tag' or 'path')
+ * @returns {Promise<object>} { ok, message, at }
+ */
+export async function revalidateProbe(previousState, formData) {
+  const error = checkSecret(formData);
+  if (error) {
+    return { ok: false, message: error, at: new Date().toISOString() };
+  }
+
+  if (formData.get('mode') === 'path') {
+    revalidatePath('/app-router/tagged');
+    return { ok: true, message: 'revalidatePath("/app-router/tagged") called', at: new Date().toISOString() };
+  }
+
+  revalidateTag(PROBE_TAG);
+  return { ok: true, message: `revalidateTag("${PROBE_TAG}") called`, at: new Date().toISOString() };
+}
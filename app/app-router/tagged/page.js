@@ -0,0 +1,42 @@
+/**
+ * App Router Tag Revalidation Test
+ *
+ * The probe data is cached in the Next.js data cache (the same cache the
+ * fetch cache uses) under a tag, with no time limit. It only changes when a
+ * Server Action calls revalidateTag() for that tag or revalidatePath() for
+ * this page.
+ *
+ * WHY THIS IS IMPORTANT FOR YOUR PAAS:
+ * - The data cache must be persisted and invalidated correctly; with several
+ *   replicas, a revalidation on one pod should reach the others
+ * - Server Actions are POST requests to the page URL with special headers,
+ *   which some proxies and CDNs mishandle
+ */
+
+import { unstable_cache } from 'next/cache';
+import ProbeCard, { Field } from '../ProbeCard';
+import RevalidateForm from './RevalidateForm';
+import { PROBE_TAG } from './tag';
+import { collectProbeData } from '../../../lib/probe';
+
+const getTaggedProbe = unstable_cache(
+  async () => collectProbeData('app-tag'),
+  ['app-router-tagged-probe'],
+  { tags: [PROBE_TAG] }
+);
+
+export default async function TaggedPage() {
+  const probe = await getTaggedProbe();
+
+  return (
+    <ProbeCard
+      title="App Router: Tagged"
+      color="#7c3aed"
+      description="📌 Cached until revalidated on demand. Refresh - the time should not change until you use the form below."
+    >
+      <Field label="Data Generation Time:" value={probe.renderTime} />
+      <Field label="Server Hostname (Pod/Container that generated the data):" value={probe.hostname} />
+      <RevalidateForm />
+    </ProbeCard>
+  );
+}
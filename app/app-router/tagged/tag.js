@@ -0,0 +1,5 @@
+/**
+ * The data cache tag for the tag revalidation test. Kept out of actions.js,
+ * because a "use server" file may only export async functions.
+ */
+export const PROBE_TAG = 'app-router-probe';
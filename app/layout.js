@@ -0,0 +1,19 @@
+/**
+ * Root Layout - App Router
+ *
+ * The App Router needs a root layout that renders <html> and <body>. It only
+ * wraps the routes under app/; the Pages Router pages in pages/ are not
+ * affected.
+ */
+
+export const metadata = {
+  title: 'Next.js Probe - App Router',
+};
+
+export default function RootLayout({ children }) {
+  return (
+    <html lang="en">
+      <body style={{ margin: 0 }}>{children}</body>
+    </html>
+  );
+}
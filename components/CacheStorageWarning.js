@@ -0,0 +1,53 @@
+/**
+ * CacheStorageWarning - Warns when ISR pages cannot be saved to disk
+ *
+ * Asks /api/diagnostics/storage whether the ISR cache directory is writable
+ * and shows a warning if it is not. Renders nothing while loading and when
+ * everything is fine, so it can sit at the top of any ISR page.
+ *
+ * NOTE: The check runs on whichever replica answers the API call, which is
+ * not necessarily the one that served the page - the warning names it.
+ */
+
+import { useEffect, useState } from 'react';
+
+export default function CacheStorageWarning() {
+  const [report, setReport] = useState(null);
+
+  useEffect(() => {
+    fetch('/api/diagnostics/storage', { cache: 'no-store' })
+      .then((response) => response.json())
+      .then(setReport, () => setReport(null));
+  }, []);
+
+  if (!report || report.isrCache.writable) {
+    return null;
+  }
+
+  const failed = [report.writeTests.isrPages, report.writeTests.isrApp].filter((test) => !test.writable);
+
+  return (
+    <div style={{
+      backgroundColor: '#fee2e2',
+      border: '2px solid #ef4444',
+      borderRadius: '8px',
+      padding: '16px',
+      marginBottom: '24px',
+      color: '#991b1b',
+      fontSize: '0.9rem'
+    }}>
+      <strong>⚠️ ISR cache is not writable on {report.hostname}</strong>
+      <p style={{ margin: '8px 0' }}>
+        Regenerated versions of this page cannot be saved. Each replica keeps its own copy in
+        memory, and after a restart the build-time version is served again.
+      </p>
+      <ul style={{ margin: 0, paddingLeft: '20px', fontFamily: 'monospace', fontSize: '0.8rem', wordBreak: 'break-all' }}>
+        {failed.map((test) => <li key={test.path}>{test.path}: {test.error}</li>)}
+      </ul>
+      <p style={{ margin: '8px 0 0 0' }}>
+        Mount a writable volume at <code>.next</code> (or at least <code>.next/server</code> and <code>.next/cache</code>).
+        Details: <code>/api/diagnostics/storage</code>
+      </p>
+    </div>
+  );
+}
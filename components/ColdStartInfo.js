@@ -0,0 +1,71 @@
+/**
+ * ColdStartInfo - Shows whether a render came from a cold or a warm process
+ *
+ * Displayed next to the hostname on the SSR and ISR pages, using the summary
+ * from getColdStartSummary() in lib/boot.js. Full details are available as
+ * JSON at /api/diagnostics/boot.
+ *
+ * @param {object} props
+ * @param {object} props.boot - The getColdStartSummary() result
+ */
+
+/**
+ * Formats milliseconds as "850ms" or "2.4s".
+ */
+function formatMs(ms) {
+  return ms < 1000 ? `${ms}ms` : `${Math.round(ms / 100) / 10}s`;
+}
+
+function Line({ label, children }) {
+  return (
+    <div style={{ display: 'flex', justifyContent: 'space-between', gap: '12px', padding: '4px 0' }}>
+      <span style={{ color: '#6b7280' }}>{label}</span>
+      <span style={{ fontFamily: 'monospace', color: '#111827', textAlign: 'right' }}>{children}</span>
+    </div>
+  );
+}
+
+export default function ColdStartInfo({ boot }) {
+  let badge;
+  if (boot.duringBuild) {
+    badge = { text: '🏗️ Rendered during next build, not by a running server', color: '#4b5563', backgroundColor: '#f3f4f6' };
+  } else if (boot.cold) {
+    badge = { text: '🧊 Cold: first render of this page in this process', color: '#1e40af', backgroundColor: '#dbeafe' };
+  } else {
+    badge = { text: '🔥 Warm: this process has rendered the page before', color: '#9a3412', backgroundColor: '#ffedd5' };
+  }
+
+  return (
+    <div style={{
+      backgroundColor: '#f9fafb',
+      border: '1px solid #e5e7eb',
+      borderRadius: '6px',
+      padding: '12px 16px',
+      marginBottom: '24px',
+      fontSize: '0.85rem'
+    }}>
+      <div style={{
+        backgroundColor: badge.backgroundColor,
+        color: badge.color,
+        borderRadius: '4px',
+        padding: '6px 10px',
+        marginBottom: '8px',
+        fontWeight: '600'
+      }}>
+        {badge.text}
+      </div>
+      <Line label="Process started">{boot.processStartedAt}</Line>
+      <Line label="Next.js ready after">
+        {boot.duringBuild ? '-' : boot.readyAfterMs !== null ? formatMs(boot.readyAfterMs) : 'not recorded (needs npm start)'}
+      </Line>
+      <Line label="First data fetch of this page">
+        {boot.firstRenderMs !== null ? formatMs(boot.firstRenderMs) : '-'}
+      </Line>
+      <Line label="First response latency">
+        {boot.duringBuild ? '-'
+          : boot.firstResponseMs !== null ? formatMs(boot.firstResponseMs)
+          : boot.cold ? 'still in progress when this was rendered' : 'not recorded (needs npm start)'}
+      </Line>
+    </div>
+  );
+}
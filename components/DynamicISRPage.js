@@ -0,0 +1,193 @@
+/**
+ * DynamicISRPage - Shared view for the dynamic ISR routes
+ *
+ * Renders the slug, generation time and hostname of a page produced by
+ * pages/isr/[slug].js or pages/isr/fallback/[slug].js, in the same layout as
+ * pages/isr.js. With fallback: true the first visit to an unknown slug is
+ * rendered without props (router.isFallback), so that state is shown too.
+ *
+ * @param {object} props - The props returned from getStaticProps
+ * @param {string} props.slug - The slug of this page
+ * @param {string} props.path - The full path of this page
+ * @param {string} props.fallbackMode - The route's fallback mode ('blocking' or 'true')
+ * @param {boolean} props.prebuilt - Whether the slug was generated at build time
+ * @param {string} props.renderTime - The timestamp when the page was last generated
+ * @param {string} props.hostname - The hostname that generated this page version
+ * @param {string} props.nextRevalidation - Estimated time for next revalidation eligibility
+ * @param {number} props.revalidateSeconds - The configured revalidate window in seconds
+ */
+
+import Link from 'next/link';
+import { useRouter } from 'next/router';
+import RevalidateButton from './RevalidateButton';
+import { formatDuration } from '../lib/revalidate';
+
+const labelStyle = {
+  display: 'block',
+  fontSize: '0.875rem',
+  fontWeight: '600',
+  color: '#4b5563',
+  marginBottom: '8px',
+  textTransform: 'uppercase',
+  letterSpacing: '0.05em'
+};
+
+const valueStyle = {
+  backgroundColor: '#f9fafb',
+  border: '1px solid #e5e7eb',
+  borderRadius: '6px',
+  padding: '12px 16px',
+  fontFamily: 'monospace',
+  fontSize: '1.1rem',
+  color: '#111827',
+  wordBreak: 'break-all'
+};
+
+function Field({ label, value }) {
+  return (
+    <div style={{ marginBottom: '24px' }}>
+      <label style={labelStyle}>{label}</label>
+      <div style={valueStyle}>{value}</div>
+    </div>
+  );
+}
+
+export default function DynamicISRPage({ slug, path, fallbackMode, prebuilt, renderTime, hostname, nextRevalidation, revalidateSeconds }) {
+  const router = useRouter();
+
+  return (
+    <div style={{
+      minHeight: '100vh',
+      display: 'flex',
+      flexDirection: 'column',
+      alignItems: 'center',
+      justifyContent: 'center',
+      backgroundColor: '#f0fdf4',
+      fontFamily: 'system-ui, -apple-system, sans-serif',
+      padding: '20px'
+    }}>
+      {/* Header Section */}
+      <div style={{
+        backgroundColor: '#10b981',
+        color: 'white',
+        padding: '16px 32px',
+        borderRadius: '8px',
+        marginBottom: '2rem'
+      }}>
+        <h1 style={{ margin: 0, fontSize: '2rem' }}>
+          Dynamic ISR Test Page
+        </h1>
+      </div>
+
+      {/* Main Content Card */}
+      <div style={{
+        backgroundColor: 'white',
+        padding: '40px',
+        borderRadius: '12px',
+        boxShadow: '0 4px 6px rgba(0,0,0,0.1)',
+        maxWidth: '600px',
+        width: '100%'
+      }}>
+        {router.isFallback ? (
+          // fallback: true - the page is being generated, props arrive client-side
+          <div style={{
+            backgroundColor: '#fef3c7',
+            border: '2px solid #fbbf24',
+            borderRadius: '8px',
+            padding: '16px',
+            color: '#78350f'
+          }}>
+            ⏳ <strong>Fallback page:</strong> <code>{router.asPath}</code> was not pre-built and is being
+            generated on the server right now. It will appear here as soon as it is ready.
+          </div>
+        ) : (
+          <>
+            {/* Status Indicator */}
+            <div style={{
+              backgroundColor: '#d1fae5',
+              border: '2px solid #10b981',
+              borderRadius: '8px',
+              padding: '16px',
+              marginBottom: '24px'
+            }}>
+              <strong style={{ color: '#059669' }}>
+                {prebuilt ? 'Pre-built at build time' : 'Generated at runtime'}
+              </strong>
+              <p style={{
+                margin: '8px 0 0 0',
+                fontSize: '0.9rem',
+                color: '#047857'
+              }}>
+                Route uses <code>fallback: {fallbackMode === 'blocking' ? "'blocking'" : fallbackMode}</code>,
+                cached for {formatDuration(revalidateSeconds)} between regenerations
+              </p>
+            </div>
+
+            <Field label="Slug:" value={slug} />
+            <Field label="Page Generation Time:" value={renderTime} />
+            <Field label="Server Hostname (Pod/Container that built this version):" value={hostname} />
+            <Field label="Next Revalidation Eligible After:" value={nextRevalidation} />
+
+            {/* On-Demand Revalidation */}
+            <RevalidateButton path={path} />
+          </>
+        )}
+
+        {/* Navigation */}
+        <div style={{
+          display: 'flex',
+          gap: '12px',
+          flexWrap: 'wrap'
+        }}>
+          <Link href="/" style={{
+            flex: '1',
+            padding: '12px 24px',
+            backgroundColor: '#6b7280',
+            color: 'white',
+            textDecoration: 'none',
+            borderRadius: '6px',
+            textAlign: 'center',
+            fontWeight: '500'
+          }}>
+            ← Back to Home
+          </Link>
+          <Link href="/isr" style={{
+            flex: '1',
+            padding: '12px 24px',
+            backgroundColor: '#10b981',
+            color: 'white',
+            textDecoration: 'none',
+            borderRadius: '6px',
+            textAlign: 'center',
+            fontWeight: '500'
+          }}>
+            Back to ISR Test →
+          </Link>
+        </div>
+      </div>
+
+      {/* Testing Instructions */}
+      <div style={{
+        marginTop: '2rem',
+        padding: '20px',
+        backgroundColor: 'white',
+        borderRadius: '8px',
+        maxWidth: '600px',
+        width: '100%',
+        boxShadow: '0 2px 4px rgba(0,0,0,0.1)'
+      }}>
+        <h3 style={{ fontSize: '1.1rem', marginBottom: '12px', color: '#333' }}>
+          🧪 Testing Dynamic ISR on Your PaaS:
+        </h3>
+        <ol style={{ color: '#666', lineHeight: '1.8', margin: 0, paddingLeft: '20px' }}>
+          <li>Pre-built slugs (<code>/isr/alpha</code>, <code>/isr/beta</code>, <code>/isr/gamma</code>) show the build time</li>
+          <li>Visit a new slug such as <code>/isr/hello</code> - it is generated on first request</li>
+          <li>Refresh it - the generation time should stay the same (the page was cached)</li>
+          <li>With multiple replicas, check that every pod serves the same generated version</li>
+          <li><code>/isr/fallback/hello</code> shows a loading state first (<code>fallback: true</code>)</li>
+          <li><code>/isr/not-found</code> should return a 404</li>
+        </ol>
+      </div>
+    </div>
+  );
+}
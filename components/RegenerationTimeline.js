@@ -0,0 +1,128 @@
+/**
+ * RegenerationTimeline - Shows when an ISR page was regenerated, and the gaps
+ *
+ * Displayed on the ISR page, using getHistory() from lib/isr-history.js.
+ * Gaps longer than a few revalidate windows are highlighted: either nobody
+ * requested the page in the meantime (ISR only regenerates on requests), or
+ * regeneration stopped working.
+ *
+ * @param {object} props
+ * @param {object} props.history - The getHistory() result
+ * @param {number} props.revalidateSeconds - The configured revalidate window
+ */
+
+import { useState } from 'react';
+
+// Entries shown before "Show all"
+const COLLAPSED_ENTRIES = 10;
+
+const TRIGGER_STYLES = {
+  build: { color: '#4b5563', backgroundColor: '#f3f4f6' },
+  'on-demand': { color: '#5b21b6', backgroundColor: '#ede9fe' },
+  'time-based': { color: '#065f46', backgroundColor: '#d1fae5' },
+};
+
+/**
+ * Formats a gap as "12s", "4.5 min" or "2.1 h".
+ */
+function formatGap(seconds) {
+  if (seconds < 120) {
+    return `${seconds}s`;
+  }
+  return seconds < 7200 ? `${Math.round(seconds / 6) / 10} min` : `${Math.round(seconds / 360) / 10} h`;
+}
+
+export default function RegenerationTimeline({ history, revalidateSeconds }) {
+  const [showAll, setShowAll] = useState(false);
+
+  const gaps = history.entries.filter((entry) => entry.gapSeconds !== null);
+  const longGaps = gaps.filter((entry) => entry.longGap);
+  const visible = showAll ? history.entries : history.entries.slice(0, COLLAPSED_ENTRIES);
+
+  return (
+    <div style={{ marginBottom: '24px' }}>
+      <label style={{
+        display: 'block',
+        fontSize: '0.875rem',
+        fontWeight: '600',
+        color: '#4b5563',
+        marginBottom: '8px',
+        textTransform: 'uppercase',
+        letterSpacing: '0.05em'
+      }}>
+        Regeneration History:
+      </label>
+
+      <p style={{ fontSize: '0.85rem', color: '#6b7280', margin: '0 0 8px 0' }}>
+        {history.entries.length} run{history.entries.length === 1 ? '' : 's'} recorded
+        {gaps.length > 0 && `, longest gap ${formatGap(Math.max(...gaps.map((entry) => entry.gapSeconds)))}`}
+        {`, ${longGaps.length} gap${longGaps.length === 1 ? '' : 's'} over ${formatGap(history.longGapSeconds)} (${history.longGapSeconds / revalidateSeconds}× revalidate)`}
+      </p>
+
+      {history.persisted === false && (
+        <p style={{ fontSize: '0.85rem', color: '#92400e', backgroundColor: '#fef3c7', padding: '6px 10px', borderRadius: '4px' }}>
+          ⚠️ Kept in memory only, {history.file} could not be written ({history.error})
+        </p>
+      )}
+
+      <ol style={{ listStyle: 'none', padding: 0, margin: 0, fontSize: '0.85rem' }}>
+        {visible.map((entry, index) => {
+          const trigger = TRIGGER_STYLES[entry.trigger] || TRIGGER_STYLES['time-based'];
+          return (
+            <li key={`${entry.timestamp}-${index}`}>
+              <div style={{
+                display: 'flex',
+                justifyContent: 'space-between',
+                gap: '8px',
+                padding: '6px 10px',
+                backgroundColor: '#f9fafb',
+                border: '1px solid #e5e7eb',
+                borderRadius: '6px'
+              }}>
+                <span style={{ fontFamily: 'monospace', color: '#111827' }}>{entry.timestamp}</span>
+                <span style={{ color: '#6b7280', wordBreak: 'break-all' }}>{entry.hostname}, {entry.durationMs}ms</span>
+                <span style={{
+                  color: trigger.color,
+                  backgroundColor: trigger.backgroundColor,
+                  borderRadius: '4px',
+                  padding: '0 6px',
+                  whiteSpace: 'nowrap'
+                }}>
+                  {entry.trigger}
+                </span>
+              </div>
+              {entry.gapSeconds !== null && (
+                <div style={{
+                  padding: '2px 0 2px 24px',
+                  color: entry.longGap ? '#b91c1c' : '#9ca3af',
+                  fontWeight: entry.longGap ? '600' : 'normal',
+                  borderLeft: `3px solid ${entry.longGap ? '#ef4444' : '#e5e7eb'}`,
+                  marginLeft: '16px'
+                }}>
+                  ↕ {formatGap(entry.gapSeconds)} since the previous run{entry.longGap ? ' - much longer than the revalidate window' : ''}
+                </div>
+              )}
+            </li>
+          );
+        })}
+      </ol>
+
+      {history.entries.length > COLLAPSED_ENTRIES && (
+        <button onClick={() => setShowAll(!showAll)} style={{
+          marginTop: '8px',
+          padding: '4px 12px',
+          backgroundColor: 'white',
+          border: '1px solid #d1d5db',
+          borderRadius: '4px',
+          cursor: 'pointer'
+        }}>
+          {showAll ? 'Show less' : `Show all ${history.entries.length}`}
+        </button>
+      )}
+
+      <p style={{ fontSize: '0.8rem', color: '#6b7280', marginTop: '8px', fontStyle: 'italic' }}>
+        💡 Newest first, as recorded by the replica that generated this version. ISR only regenerates when the page is requested, so gaps while nobody visited are expected.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,72 @@
+/**
+ * ResourceInfo - Shows the CPU and memory this process actually has
+ *
+ * A compact view of getResourceReport() from lib/resources.js: the cgroup
+ * limits next to what the process uses. Displayed on the SSR page and at the
+ * top of /diagnostics/resources; the full report is available as JSON at
+ * /api/diagnostics/resources.
+ *
+ * @param {object} props
+ * @param {object} props.resources - The getResourceReport() result
+ */
+
+/**
+ * Formats a byte count as "512 MB" or "1.5 GB".
+ */
+export function formatBytes(bytes) {
+  if (bytes === null) {
+    return 'unlimited';
+  }
+  const mb = bytes / 1024 / 1024;
+  return mb < 1024 ? `${Math.round(mb)} MB` : `${Math.round(mb / 102.4) / 10} GB`;
+}
+
+function Line({ label, children }) {
+  return (
+    <div style={{ display: 'flex', justifyContent: 'space-between', gap: '12px', padding: '4px 0' }}>
+      <span style={{ color: '#6b7280' }}>{label}</span>
+      <span style={{ fontFamily: 'monospace', color: '#111827', textAlign: 'right' }}>{children}</span>
+    </div>
+  );
+}
+
+export default function ResourceInfo({ resources }) {
+  const { cgroup, cpus, memory, eventLoop, activeHandles, warnings } = resources;
+
+  return (
+    <div style={{
+      backgroundColor: '#f9fafb',
+      border: '1px solid #e5e7eb',
+      borderRadius: '6px',
+      padding: '12px 16px',
+      marginBottom: '24px',
+      fontSize: '0.85rem'
+    }}>
+      {warnings.map((warning) => (
+        <div key={warning} style={{
+          backgroundColor: '#fef3c7',
+          color: '#92400e',
+          borderRadius: '4px',
+          padding: '6px 10px',
+          marginBottom: '8px'
+        }}>
+          ⚠️ {warning}
+        </div>
+      ))}
+      <Line label="CPU limit">
+        {cgroup.cpu.limitCores !== null ? `${cgroup.cpu.limitCores} cores` : 'unlimited'} ({cpus.count} host CPUs)
+      </Line>
+      <Line label="Memory limit">
+        {cgroup.version === null ? 'no cgroup found' : formatBytes(cgroup.memory.limitBytes)}
+        {cgroup.memory.usageBytes !== null ? `, ${formatBytes(cgroup.memory.usageBytes)} used` : ''}
+      </Line>
+      <Line label="Process RSS / heap">
+        {formatBytes(memory.rssBytes)} / {formatBytes(memory.heapUsedBytes)} of {formatBytes(memory.heapLimitBytes)}
+      </Line>
+      <Line label="Event-loop lag (p50 / p99)">
+        {eventLoop.p50Ms !== null ? `${eventLoop.p50Ms}ms / ${eventLoop.p99Ms}ms` : 'no samples yet'}
+      </Line>
+      <Line label="Active handles">{activeHandles.total}</Line>
+    </div>
+  );
+}
@@ -0,0 +1,114 @@
+/**
+ * RevalidateButton - Triggers on-demand ISR revalidation from the browser
+ *
+ * Calls POST /api/revalidate for the given path with the secret typed in by
+ * the tester, then shows what happened. The secret is never baked into the
+ * page - it has to be entered by hand.
+ *
+ * @param {object} props
+ * @param {string} props.path - The ISR page path to revalidate (e.g. '/isr')
+ */
+
+import { useState } from 'react';
+
+export default function RevalidateButton({ path }) {
+  const [secret, setSecret] = useState('');
+  const [status, setStatus] = useState('idle');
+  const [result, setResult] = useState(null);
+
+  async function triggerRevalidation() {
+    setStatus('loading');
+    setResult(null);
+
+    try {
+      const response = await fetch(`/api/revalidate?path=${encodeURIComponent(path)}`, {
+        method: 'POST',
+        headers: { 'x-revalidate-secret': secret },
+      });
+      const body = await response.json();
+      setResult(body);
+      setStatus(response.ok ? 'done' : 'error');
+    } catch (err) {
+      setResult({ error: err.message });
+      setStatus('error');
+    }
+  }
+
+  const pathResult = result && result.results ? result.results[0] : null;
+
+  return (
+    <div style={{
+      backgroundColor: '#f9fafb',
+      border: '1px solid #e5e7eb',
+      borderRadius: '8px',
+      padding: '16px',
+      marginBottom: '24px'
+    }}>
+      <h3 style={{ margin: '0 0 8px 0', fontSize: '1rem', color: '#333' }}>
+        On-Demand Revalidation
+      </h3>
+      <p style={{ margin: '0 0 12px 0', fontSize: '0.85rem', color: '#6b7280' }}>
+        Regenerate <code>{path}</code> right now instead of waiting for the revalidate window.
+      </p>
+
+      <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
+        <input
+          type="password"
+          placeholder="REVALIDATE_SECRET"
+          value={secret}
+          onChange={(event) => setSecret(event.target.value)}
+          style={{
+            flex: '1',
+            padding: '8px 12px',
+            border: '1px solid #d1d5db',
+            borderRadius: '6px',
+            fontFamily: 'monospace'
+          }}
+        />
+        <button
+          onClick={triggerRevalidation}
+          disabled={status === 'loading'}
+          style={{
+            padding: '8px 16px',
+            backgroundColor: '#10b981',
+            color: 'white',
+            border: 'none',
+            borderRadius: '6px',
+            fontWeight: '500',
+            cursor: 'pointer'
+          }}
+        >
+          {status === 'loading' ? 'Revalidating...' : 'Revalidate Now'}
+        </button>
+      </div>
+
+      {status === 'done' && pathResult && (
+        <div style={{ marginTop: '12px', fontSize: '0.85rem', color: '#047857' }}>
+          ✅ Revalidated <code>{pathResult.path}</code> in {pathResult.durationMs} ms
+          {pathResult.renderTime && <> - new render time <code>{pathResult.renderTime}</code></>}
+          <div style={{ marginTop: '8px' }}>
+            <button
+              onClick={() => window.location.reload()}
+              style={{
+                padding: '6px 12px',
+                backgroundColor: '#6b7280',
+                color: 'white',
+                border: 'none',
+                borderRadius: '6px',
+                cursor: 'pointer'
+              }}
+            >
+              Reload to see the new timestamp
+            </button>
+          </div>
+        </div>
+      )}
+
+      {status === 'error' && result && (
+        <div style={{ marginTop: '12px', fontSize: '0.85rem', color: '#b91c1c' }}>
+          ❌ {result.error || (pathResult && pathResult.error) || 'Revalidation failed'}
+        </div>
+      )}
+    </div>
+  );
+}
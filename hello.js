@@ -1,6 +1,205 @@
-let http = require('http');
+/**
+ * Plain Node.js Baseline Probe Server
+ *
+ * A minimal http.createServer app with no framework, deployed next to the
+ * Next.js probe. If something fails on the Next.js app but works here, the
+ * problem is Next.js-specific; if both fail, it is the platform.
+ *
+ * ROUTES:
+ * - GET /               { "message": "Hello World!" }
+ * - GET /healthz        Liveness: the process is up
+ * - GET /readyz         Readiness: the process is accepting traffic
+ * - GET /info           Probe payload (same schema as /api/probe/ssr) plus
+ *                       pid, Node.js version and memory usage
+ * - GET /api/probe/ssr  Alias of /info, so the probe CLI works unchanged
+ * - GET /api/probe/request
+ *                       Client IP, X-Forwarded-* headers and TLS as seen
+ *                       here (same payload as the Next.js route)
+ * - ANY /echo           Returns the method, path, headers and body it received
+ * - GET /slow?ms=5000   Responds after the given delay (see lib/slow.js)
+ * - GET /api/metrics    Prometheus metrics, same names as the Next.js app
+ *                       (see lib/metrics.js)
+ * - WS  /ws             WebSocket echo/heartbeat probe (see lib/websocket.js)
+ *
+ * Listens on the PORT env var (default 8080): `PORT=3000 node hello.js`
+ *
+ * On SIGTERM, /readyz starts failing and in-flight requests are drained
+ * before the process exits (see lib/lifecycle.js).
+ */
 
-http.createServer(function (req, res) {
-  res.writeHead(200, {'Content-Type': 'application/json'});
-  res.end(JSON.stringify({ message: 'Hello World!' }));
-}).listen(8080);
\ No newline at end of file
+const http = require('http');
+const { performance } = require('perf_hooks');
+const { collectProbeData, getHostname } = require('./lib/probe');
+const { createLifecycle } = require('./lib/lifecycle');
+const { parseDelayMs, respondSlowly } = require('./lib/slow');
+const { logEvent } = require('./lib/log');
+const { attachWebSocketProbe } = require('./lib/websocket');
+const { snapshotForwardedHeaders, inspectRequest, compareWithClient } = require('./lib/request-info');
+const { CONTENT_TYPE, routeLabel, recordRequest, renderMetrics } = require('./lib/metrics');
+
+const PORT = Number(process.env.PORT) || 8080;
+
+// Bodies larger than this are rejected by /echo
+const MAX_ECHO_BODY_BYTES = 1024 * 1024;
+
+const lifecycle = createLifecycle('baseline');
+
+/**
+ * Sends a JSON response.
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Builds the /info payload: the shared probe schema plus process details.
+ */
+function getInfo() {
+  const memory = process.memoryUsage();
+
+  return {
+    ...collectProbeData('node'),
+    // This server does not run Next.js, even if the package is installed
+    nextVersion: null,
+    pid: process.pid,
+    nodeVersion: process.version,
+    memory: {
+      rss: memory.rss,
+      heapTotal: memory.heapTotal,
+      heapUsed: memory.heapUsed,
+      external: memory.external,
+    },
+  };
+}
+
+/**
+ * Reads the request body as text, up to MAX_ECHO_BODY_BYTES.
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    function onData(chunk) {
+      size += chunk.length;
+      if (size > MAX_ECHO_BODY_BYTES) {
+        // Stop reading but keep the socket, so the 413 can still be sent
+        req.off('data', onData);
+        req.pause();
+        reject(new Error(`Body larger than ${MAX_ECHO_BODY_BYTES} bytes`));
+        return;
+      }
+      chunks.push(chunk);
+    }
+
+    req.on('data', onData);
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+async function handleEcho(req, res, url) {
+  let body;
+  try {
+    body = await readBody(req);
+  } catch (err) {
+    // The rest of the body is never read, so the connection cannot be reused
+    res.setHeader('Connection', 'close');
+    return sendJson(res, 413, { error: err.message });
+  }
+
+  sendJson(res, 200, {
+    method: req.method,
+    path: url.pathname,
+    query: Object.fromEntries(url.searchParams),
+    httpVersion: req.httpVersion,
+    headers: req.headers,
+    body: body,
+  });
+}
+
+/**
+ * Readiness fails as soon as shutdown starts, so traffic moves elsewhere.
+ */
+function handleReadyz(req, res) {
+  const readiness = lifecycle.getReadiness();
+  sendJson(res, readiness.statusCode, readiness.body);
+}
+
+function handleRequestProbe(req, res, url) {
+  snapshotForwardedHeaders(req);
+  const info = inspectRequest(req);
+  const mismatches = compareWithClient(info, {
+    protocol: url.searchParams.get('expectProto'),
+    host: url.searchParams.get('expectHost'),
+  });
+
+  sendJson(res, 200, { hostname: getHostname(), ...info, findings: [...mismatches, ...info.findings] });
+}
+
+function handleMetrics(req, res) {
+  res.writeHead(200, { 'Content-Type': CONTENT_TYPE, 'Cache-Control': 'no-store' });
+  res.end(renderMetrics({ server: 'baseline', nextVersion: null }));
+}
+
+async function handleSlow(req, res, url) {
+  sendJson(res, 200, await respondSlowly(parseDelayMs(url.searchParams.get('ms'))));
+}
+
+const routes = {
+  '/': (req, res) => sendJson(res, 200, { message: 'Hello World!' }),
+  '/healthz': (req, res) => sendJson(res, 200, { status: 'ok' }),
+  '/readyz': handleReadyz,
+  '/info': (req, res) => sendJson(res, 200, getInfo()),
+  '/api/probe/ssr': (req, res) => sendJson(res, 200, getInfo()),
+  '/api/probe/request': handleRequestProbe,
+  '/echo': handleEcho,
+  '/slow': handleSlow,
+  '/api/metrics': handleMetrics,
+};
+
+const server = http.createServer(function (req, res) {
+  const receivedAt = performance.now();
+  // Only the path and query are used, so the Host header stays out of the
+  // parse; a malformed target (e.g. "//a:b:c") still throws and gets a 400
+  let url;
+  try {
+    url = new URL(req.url, 'http://localhost');
+  } catch (err) {
+    return sendJson(res, 400, { error: 'Malformed request URL' });
+  }
+  const route = routes[url.pathname];
+
+  // Health checks are not traffic, so they are neither in flight nor in the metrics
+  if (route !== routes['/healthz'] && route !== handleReadyz) {
+    lifecycle.trackRequest(res);
+    res.on('finish', () => {
+      recordRequest(routeLabel(url.pathname), res.statusCode, (performance.now() - receivedAt) / 1000);
+    });
+  }
+
+  if (!route) {
+    return sendJson(res, 404, { error: `No route for ${url.pathname}` });
+  }
+  if (route !== handleEcho && req.method !== 'GET' && req.method !== 'HEAD') {
+    res.setHeader('Allow', 'GET, HEAD');
+    return sendJson(res, 405, { error: 'Method not allowed' });
+  }
+
+  Promise.resolve(route(req, res, url)).catch((err) => {
+    console.error(err);
+    if (!res.headersSent) {
+      sendJson(res, 500, { error: 'Internal server error' });
+    }
+  });
+});
+
+const websockets = attachWebSocketProbe(server, '/ws');
+
+server.listen(PORT, () => {
+  logEvent('listening', { server: 'baseline', port: PORT });
+});
+
+lifecycle.addShutdownHook(() => websockets.closeAll());
+lifecycle.installShutdownHandlers(server);
@@ -0,0 +1,151 @@
+/**
+ * Boot and Cold-Start Timing
+ *
+ * Records how long this process took to become ready and how slow its first
+ * requests were, so a cold start (scale-from-zero, restart, new rollout) can
+ * be told apart from a warm response:
+ *
+ * - processStartedAt: when the Node.js process started
+ * - nextPreparedAt: when app.prepare() finished (recorded by server.js)
+ * - firstRenders: when each page first rendered in this process, and how long
+ *   its getServerSideProps/getStaticProps took (recorded by the pages)
+ * - firstResponses: the full latency of the first response per page path
+ *   (recorded by server.js, from the request arriving to the last byte being
+ *   sent). Assets, /_next/data and API routes are left out
+ *
+ * NOTE: Under `next start` there is no server.js, so nextPreparedAt and
+ * firstResponses stay empty. Like lib/regeneration.js, the state is kept on
+ * globalThis so server.js and every Next.js bundle share it.
+ */
+
+const { performance } = require('perf_hooks');
+
+// Dynamic routes (/isr/<slug>) could otherwise grow firstResponses without bound
+const MAX_TRACKED_PATHS = 50;
+
+// Requests for these never render a page, and would use up the tracked paths
+const UNTRACKED_PREFIXES = ['/_next/', '/api/'];
+
+const state = globalThis.__probeBoot || {
+  nextPreparedAt: null,
+  prepareDurationMs: null,
+  firstRenders: {},
+  firstResponses: {},
+};
+globalThis.__probeBoot = state;
+
+/**
+ * Returns when the process started, in milliseconds since the epoch.
+ */
+function getProcessStartedAt() {
+  return Math.round(performance.timeOrigin);
+}
+
+/**
+ * recordNextPrepared - Called by server.js once app.prepare() resolves
+ *
+ * @param {number} prepareStartedAt - Date.now() from just before app.prepare()
+ */
+function recordNextPrepared(prepareStartedAt) {
+  state.nextPreparedAt = Date.now();
+  state.prepareDurationMs = state.nextPreparedAt - prepareStartedAt;
+}
+
+/**
+ * Whether a request path is a page, rather than an asset, data or API request.
+ */
+function isPagePath(path) {
+  // Files such as /favicon.ico or /robots.txt have an extension, pages don't
+  return !UNTRACKED_PREFIXES.some((prefix) => path.startsWith(prefix)) && !/\.[^/]*$/.test(path);
+}
+
+/**
+ * recordFirstResponse - Stores the latency of the first response for a page path
+ *
+ * Later responses for the same path, and paths that are not pages, are ignored.
+ *
+ * @param {string} path - The request path, without the query string
+ * @param {number} durationMs - From the request arriving to the response finishing
+ */
+function recordFirstResponse(path, durationMs) {
+  if (!isPagePath(path) || state.firstResponses[path]
+    || Object.keys(state.firstResponses).length >= MAX_TRACKED_PATHS) {
+    return;
+  }
+  state.firstResponses[path] = {
+    respondedAt: new Date().toISOString(),
+    durationMs: Math.round(durationMs),
+  };
+}
+
+/**
+ * recordRender - Called by a page at the end of each getServerSideProps/getStaticProps
+ *
+ * @param {string} path - The page path, e.g. '/ssr'
+ * @param {number} startedAt - performance.now() from when the data function started
+ * @returns {boolean} True if this is the first render of the page in this process
+ */
+function recordRender(path, startedAt) {
+  if (state.firstRenders[path]) {
+    return false;
+  }
+  state.firstRenders[path] = {
+    renderedAt: new Date().toISOString(),
+    durationMs: Math.round((performance.now() - startedAt) * 100) / 100,
+  };
+  return true;
+}
+
+/**
+ * getBootInfo - Everything recorded about this process's start
+ *
+ * @returns {object} { processStartedAt, uptime, nextPreparedAt, prepareDurationMs,
+ *   readyAfterMs, firstRenders, firstResponses }
+ */
+function getBootInfo() {
+  const processStartedAt = getProcessStartedAt();
+
+  return {
+    processStartedAt: new Date(processStartedAt).toISOString(),
+    uptime: process.uptime(),
+    nextPreparedAt: state.nextPreparedAt ? new Date(state.nextPreparedAt).toISOString() : null,
+    prepareDurationMs: state.prepareDurationMs,
+    // From process start until Next.js could serve requests
+    readyAfterMs: state.nextPreparedAt ? state.nextPreparedAt - processStartedAt : null,
+    firstRenders: { ...state.firstRenders },
+    firstResponses: { ...state.firstResponses },
+  };
+}
+
+/**
+ * getColdStartSummary - The boot details a page shows next to its hostname
+ *
+ * @param {string} path - The page path, e.g. '/ssr'
+ * @param {boolean} cold - Whether this is the page's first render in the process (see recordRender)
+ * @returns {object} { cold, duringBuild, processStartedAt, readyAfterMs, firstRenderMs, firstResponseMs }
+ */
+function getColdStartSummary(path, cold) {
+  const boot = getBootInfo();
+  const firstRender = boot.firstRenders[path];
+  const firstResponse = boot.firstResponses[path];
+
+  return {
+    cold: cold,
+    // ISR pages are first rendered by `next build`, not by the serving process
+    duringBuild: process.env.NEXT_PHASE === 'phase-production-build',
+    processStartedAt: boot.processStartedAt,
+    readyAfterMs: boot.readyAfterMs,
+    // How long getServerSideProps/getStaticProps took the first time
+    firstRenderMs: firstRender ? firstRender.durationMs : null,
+    // Not known yet while the first response is still being rendered
+    firstResponseMs: firstResponse ? firstResponse.durationMs : null,
+  };
+}
+
+module.exports = {
+  recordNextPrepared,
+  recordFirstResponse,
+  recordRender,
+  getBootInfo,
+  getColdStartSummary,
+};
@@ -0,0 +1,195 @@
+/**
+ * Fault Injection (Chaos) Helpers
+ *
+ * Backs /api/chaos and the /chaos page, which make the app misbehave on
+ * purpose so you can watch how the platform reacts: proxy timeouts, error
+ * pages, restart policies, OOM kills and CPU throttling.
+ *
+ * Everything here is disabled unless CHAOS_ENABLED=true. Never turn it on in
+ * an environment that serves real traffic. Even then, the actions that hurt
+ * the process (leak, burn, crash) need the shared secret from CHAOS_SECRET,
+ * the same way /api/revalidate needs REVALIDATE_SECRET.
+ */
+
+const { getHostname } = require('./probe');
+const { secretMatches } = require('./secret');
+const { logEvent } = require('./log');
+
+const ENABLED_ENV_VAR = 'CHAOS_ENABLED';
+const SECRET_ENV_VAR = 'CHAOS_SECRET';
+
+// Upper bound for the memory leak, override with CHAOS_MAX_LEAK_MB
+const DEFAULT_MAX_LEAK_MB = 1024;
+const MAX_BURN_MS = 60 * 1000;
+const DEFAULT_BURN_MS = 5000;
+const CRASH_MODES = ['exit', 'abort', 'exception'];
+
+// Leaked buffers live on globalThis, so /api/chaos and the /chaos page share them
+const leaked = globalThis.__probeChaosLeak || [];
+globalThis.__probeChaosLeak = leaked;
+
+/**
+ * Whether fault injection has been turned on for this process.
+ */
+function isChaosEnabled() {
+  return process.env[ENABLED_ENV_VAR] === 'true';
+}
+
+/**
+ * Whether a shared secret has been configured for the destructive actions.
+ */
+function isChaosSecretConfigured() {
+  return Boolean(process.env[SECRET_ENV_VAR]);
+}
+
+/**
+ * checkChaosSecret - Compares a submitted secret with CHAOS_SECRET, in constant time
+ *
+ * @param {string} [secret] - The x-chaos-secret header value
+ * @returns {boolean} True if CHAOS_SECRET is set and matches
+ */
+function checkChaosSecret(secret) {
+  return secretMatches(secret, process.env[SECRET_ENV_VAR]);
+}
+
+/**
+ * Reads the leak limit from CHAOS_MAX_LEAK_MB.
+ */
+function getMaxLeakMb() {
+  const limit = Number(process.env.CHAOS_MAX_LEAK_MB);
+  return Number.isFinite(limit) && limit > 0 ? limit : DEFAULT_MAX_LEAK_MB;
+}
+
+/**
+ * Returns how many megabytes are currently leaked.
+ */
+function getLeakedMb() {
+  return leaked.length;
+}
+
+/**
+ * parseStatusCode - Reads a status code to answer with
+ *
+ * @param {string} value - The ?code= query value
+ * @returns {number|null} The status code, or null if it is not 200-599
+ */
+function parseStatusCode(value) {
+  const code = Number(value);
+  return Number.isInteger(code) && code >= 200 && code <= 599 ? code : null;
+}
+
+/**
+ * leakMemory - Allocates memory that is never freed (until releaseMemory)
+ *
+ * Allocates 1 MB buffers and fills them, so the memory is really committed
+ * and shows up in RSS (and in the container's memory cgroup).
+ *
+ * @param {number} mb - How many megabytes to add
+ * @returns {object} { addedMb, leakedMb, maxLeakMb, limited }
+ */
+function leakMemory(mb) {
+  const maxLeakMb = getMaxLeakMb();
+  const toAdd = Math.max(0, Math.min(Math.floor(mb) || 0, maxLeakMb - leaked.length));
+
+  for (let i = 0; i < toAdd; i++) {
+    leaked.push(Buffer.alloc(1024 * 1024, 1));
+  }
+
+  return {
+    addedMb: toAdd,
+    leakedMb: leaked.length,
+    maxLeakMb: maxLeakMb,
+    limited: toAdd < mb,
+  };
+}
+
+/**
+ * releaseMemory - Drops every leaked buffer so it can be garbage collected
+ *
+ * @returns {object} { releasedMb, leakedMb }
+ */
+function releaseMemory() {
+  const releasedMb = leaked.length;
+  leaked.length = 0;
+  return { releasedMb: releasedMb, leakedMb: 0 };
+}
+
+/**
+ * burnCpu - Keeps the CPU busy and blocks the event loop
+ *
+ * While this runs, the process cannot answer anything, health checks included.
+ *
+ * @param {number} ms - How long to burn, clamped to MAX_BURN_MS
+ * @returns {object} { burnedMs, iterations }
+ */
+function burnCpu(ms) {
+  const duration = Math.min(Math.max(Number(ms) || DEFAULT_BURN_MS, 0), MAX_BURN_MS);
+  const startedAt = Date.now();
+  let iterations = 0;
+
+  while (Date.now() - startedAt < duration) {
+    Math.sqrt(iterations++);
+  }
+
+  return { burnedMs: Date.now() - startedAt, iterations: iterations };
+}
+
+/**
+ * crashProcess - Ends the process, after giving the response time to go out
+ *
+ * Modes:
+ * - 'exit': process.exit(1), like an app that gives up on a fatal error
+ * - 'abort': process.abort(), killed by SIGABRT like a native crash
+ * - 'exception': an uncaught exception. The Next.js server catches these and
+ *   keeps running, without logging anything under server.js, so this shows
+ *   whether the process survives one rather than crashing it
+ *
+ * Every mode logs a 'chaos' event first, so the crash can be found in the logs.
+ *
+ * @param {string} mode - 'exit', 'abort' or 'exception'
+ */
+function crashProcess(mode) {
+  setTimeout(() => {
+    logEvent('chaos', { action: 'crash', mode: mode });
+    if (mode === 'exception') {
+      throw new Error('Crash requested through /api/chaos');
+    }
+    if (mode === 'abort') {
+      process.abort();
+    }
+    process.exit(1);
+  }, 100);
+}
+
+/**
+ * getChaosStatus - What the chaos page shows about this process
+ *
+ * @returns {object} { enabled, secretConfigured, hostname, pid, leakedMb, maxLeakMb, rssMb }
+ */
+function getChaosStatus() {
+  return {
+    enabled: isChaosEnabled(),
+    secretConfigured: isChaosSecretConfigured(),
+    hostname: getHostname(),
+    pid: process.pid,
+    leakedMb: getLeakedMb(),
+    maxLeakMb: getMaxLeakMb(),
+    rssMb: Math.round(process.memoryUsage().rss / 1024 / 1024),
+  };
+}
+
+module.exports = {
+  ENABLED_ENV_VAR,
+  SECRET_ENV_VAR,
+  CRASH_MODES,
+  MAX_BURN_MS,
+  isChaosEnabled,
+  isChaosSecretConfigured,
+  checkChaosSecret,
+  parseStatusCode,
+  leakMemory,
+  releaseMemory,
+  burnCpu,
+  crashProcess,
+  getChaosStatus,
+};
@@ -0,0 +1,74 @@
+/**
+ * Replica Distribution Analysis
+ *
+ * Groups probe responses by the hostname that served them, to judge how a
+ * load balancer spreads traffic across replicas. Shared by the
+ * `distribution` CLI command and the /distribution page.
+ *
+ * THE SKEW SCORE:
+ * - The coefficient of variation (stddev / mean) of the request counts per replica
+ * - 0 means perfectly even; larger values mean some replicas get more traffic
+ * - When more replicas are expected than were seen, the missing ones count as
+ *   zero, so an unreachable replica raises the score too
+ */
+
+/**
+ * summarizeDistribution - Counts requests per hostname
+ *
+ * @param {Array<string>} hostnames - The hostname of every successful response
+ * @param {number} [expectedReplicas] - How many replicas should be serving
+ * @returns {object} { total, seen, expected, skew, replicas: [{ hostname, count, percent }] }
+ */
+function summarizeDistribution(hostnames, expectedReplicas) {
+  const counts = new Map();
+  for (const hostname of hostnames) {
+    counts.set(hostname, (counts.get(hostname) || 0) + 1);
+  }
+
+  const total = hostnames.length;
+  const replicas = Array.from(counts, ([hostname, count]) => ({
+    hostname: hostname,
+    count: count,
+    percent: total > 0 ? Math.round((count / total) * 1000) / 10 : 0,
+  })).sort((a, b) => b.count - a.count || a.hostname.localeCompare(b.hostname));
+
+  const expected = expectedReplicas > 0 ? expectedReplicas : null;
+
+  return {
+    total: total,
+    seen: replicas.length,
+    expected: expected,
+    skew: computeSkew(replicas.map((replica) => replica.count), expected),
+    replicas: replicas,
+  };
+}
+
+/**
+ * computeSkew - Coefficient of variation of the per-replica counts
+ *
+ * @param {Array<number>} counts - Requests served per replica that was seen
+ * @param {number|null} expected - Expected replica count (missing ones count as 0)
+ * @returns {number} The skew score, rounded to 3 decimals
+ */
+function computeSkew(counts, expected) {
+  const buckets = counts.slice();
+  while (expected && buckets.length < expected) {
+    buckets.push(0);
+  }
+  if (buckets.length === 0) {
+    return 0;
+  }
+
+  const mean = buckets.reduce((sum, count) => sum + count, 0) / buckets.length;
+  if (mean === 0) {
+    return 0;
+  }
+
+  const variance = buckets.reduce((sum, count) => sum + (count - mean) ** 2, 0) / buckets.length;
+  return Math.round((Math.sqrt(variance) / mean) * 1000) / 1000;
+}
+
+module.exports = {
+  summarizeDistribution,
+  computeSkew,
+};
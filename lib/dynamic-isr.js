@@ -0,0 +1,92 @@
+/**
+ * Dynamic ISR Route Configuration
+ *
+ * Shared by pages/isr/[slug].js (fallback: 'blocking') and
+ * pages/isr/fallback/[slug].js (fallback: true), so both routes pre-build the
+ * same slugs and treat unknown slugs the same way.
+ */
+
+const { performance } = require('perf_hooks');
+const { collectProbeData } = require('./probe');
+const { recordRegeneration } = require('./regeneration');
+const { getRevalidateSeconds } = require('./revalidate');
+const { getRequestContext, logRender } = require('./log');
+
+// Slugs generated at build time by getStaticPaths
+const PREBUILT_SLUGS = ['alpha', 'beta', 'gamma'];
+
+// Slugs that always return a 404 through { notFound: true }
+const NOT_FOUND_SLUGS = ['not-found'];
+
+// Only simple slugs are generated, anything else is a 404. This keeps random
+// URLs from filling the ISR cache with junk pages.
+const SLUG_PATTERN = /^[a-z0-9-]{1,64}$/;
+
+/**
+ * isNotFoundSlug - Whether the page for this slug should 404
+ *
+ * @param {string} slug - The requested slug
+ * @returns {boolean} True for invalid slugs and the reserved not-found slugs
+ */
+function isNotFoundSlug(slug) {
+  return !SLUG_PATTERN.test(slug) || NOT_FOUND_SLUGS.includes(slug);
+}
+
+/**
+ * getPrebuiltPaths - The paths list for getStaticPaths
+ *
+ * @returns {Array<object>} One { params: { slug } } entry per pre-built slug
+ */
+function getPrebuiltPaths() {
+  return PREBUILT_SLUGS.map((slug) => ({ params: { slug: slug } }));
+}
+
+/**
+ * createGetStaticProps - Builds the getStaticProps function for a dynamic ISR route
+ *
+ * @param {string} basePath - The route prefix, e.g. '/isr' or '/isr/fallback'
+ * @param {string|boolean} fallbackMode - The fallback mode the route uses (for display)
+ * @returns {Function} A getStaticProps implementation
+ */
+function createGetStaticProps(basePath, fallbackMode) {
+  return async function getStaticProps({ params }) {
+    const startedAt = performance.now();
+    const slug = params.slug;
+    const revalidateSeconds = getRevalidateSeconds();
+
+    // Invalid or reserved slugs become a 404
+    // revalidate still applies, so the 404 itself is cached and regenerated
+    if (isNotFoundSlug(slug)) {
+      return {
+        notFound: true,
+        revalidate: revalidateSeconds,
+      };
+    }
+
+    const probe = collectProbeData('isr');
+    recordRegeneration(`${basePath}/${slug}`, probe);
+    logRender('isr-regeneration', `${basePath}/${slug}`, startedAt, getRequestContext());
+
+    return {
+      props: {
+        slug: slug,
+        path: `${basePath}/${slug}`,
+        fallbackMode: String(fallbackMode),
+        prebuilt: PREBUILT_SLUGS.includes(slug),
+        renderTime: probe.renderTime,
+        hostname: probe.hostname,
+        nextRevalidation: new Date(Date.now() + revalidateSeconds * 1000).toISOString(),
+        revalidateSeconds: revalidateSeconds,
+      },
+      revalidate: revalidateSeconds,
+    };
+  };
+}
+
+module.exports = {
+  PREBUILT_SLUGS,
+  NOT_FOUND_SLUGS,
+  isNotFoundSlug,
+  getPrebuiltPaths,
+  createGetStaticProps,
+};
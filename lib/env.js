@@ -0,0 +1,226 @@
+/**
+ * Environment Variable Diagnostics
+ *
+ * Lists environment variables with secret-looking values redacted, checks a
+ * list of required variables, and compares the values seen by `next build`
+ * with the values seen at runtime.
+ *
+ * WHY BUILD VS RUNTIME MATTERS:
+ * - NEXT_PUBLIC_* variables are inlined into the browser bundle at build time;
+ *   changing them at runtime has no effect on client code
+ * - getStaticProps pages are rendered with build-time values until they revalidate
+ * - A variable set only in the runtime environment (or only in the build
+ *   environment) is the most common cause of "works locally, broken on deploy"
+ *
+ * REDACTION:
+ * A value is redacted when its name looks secret (SECRET, TOKEN, PASSWORD,
+ * KEY...) or the value itself looks like a credential (JWT, private key,
+ * well-known token prefixes). URLs only have their password redacted. Redacted
+ * values show neither a length nor a hash: the build snapshot is a public
+ * static page, and a plain hash of a short secret is easy to brute-force.
+ *
+ * To still compare build and runtime values, `next build` also writes an
+ * HMAC of every value to .next/server/probe-env-digests.json, keyed with a
+ * random per-build key stored in the same file. Next.js never serves that
+ * file, so neither the key nor the digests reach the browser.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Comma-separated names that must be set, e.g. PROBE_REQUIRED_ENV=HOSTNAME,DATABASE_URL
+const REQUIRED_ENV_VAR = 'PROBE_REQUIRED_ENV';
+const DEFAULT_REQUIRED = ['HOSTNAME'];
+
+// Where `next build` saves the props of pages/diagnostics/env/build.js
+const BUILD_SNAPSHOT_FILE = path.join(process.cwd(), '.next', 'server', 'pages', 'diagnostics', 'env', 'build.json');
+
+// Where `next build` saves the HMAC key and digests, outside anything Next.js serves
+const BUILD_DIGESTS_FILE = path.join(process.cwd(), '.next', 'server', 'probe-env-digests.json');
+
+const SECRET_NAME_PATTERN = /SECRET|TOKEN|PASSWORD|PASSWD|PRIVATE|CREDENTIAL|APIKEY|(^|_)(KEY|PASS|AUTH|COOKIE|SESSION|SALT|DSN|SIGNATURE)(_|$)/i;
+
+const SECRET_VALUE_PATTERNS = [
+  /^eyJ[\w-]+\.[\w-]+\./, // JWT
+  /-----BEGIN [A-Z ]*PRIVATE KEY-----/,
+  /^(sk|rk)_(live|test)_/, // Stripe
+  /^gh[pousr]_[A-Za-z0-9]{20,}/, // GitHub
+  /^xox[abprs]-/, // Slack
+  /^AKIA[0-9A-Z]{16}$/, // AWS access key id
+];
+
+// user:password@ in URLs such as DATABASE_URL=postgres://app:hunter2@db/app
+const URL_PASSWORD_PATTERN = /^([a-z][a-z0-9+.-]*:\/\/[^/\s:@]+:)([^/\s@]+)(@)/i;
+
+// Variables that normally differ between the build machine and the running
+// container, including the ones npm and the Next.js build workers set
+const EXPECTED_TO_DIFFER = new Set([
+  'HOSTNAME', 'HOME', 'PWD', 'OLDPWD', 'SHLVL', '_', 'PORT', 'PATH', 'NODE', 'INIT_CWD',
+  'NEXT_PHASE', 'NEXT_RUNTIME', 'IS_NEXT_WORKER', 'NEXT_IS_EXPORT_WORKER',
+]);
+const EXPECTED_TO_DIFFER_PREFIX = 'npm_';
+
+/**
+ * Returns the HMAC-SHA256 of every environment variable, keyed with the given key.
+ */
+function digestEnv(key) {
+  const digests = {};
+  for (const name of Object.keys(process.env)) {
+    digests[name] = crypto.createHmac('sha256', key).update(process.env[name]).digest('hex');
+  }
+  return digests;
+}
+
+/**
+ * redactValue - Hides a value if it looks like a secret
+ *
+ * @param {string} name - The variable name
+ * @param {string} value - The variable value
+ * @returns {object} { value, redacted } where value is safe to display
+ */
+function redactValue(name, value) {
+  if (SECRET_NAME_PATTERN.test(name) || SECRET_VALUE_PATTERNS.some((pattern) => pattern.test(value))) {
+    return { value: '[redacted]', redacted: true };
+  }
+  if (URL_PASSWORD_PATTERN.test(value)) {
+    return { value: value.replace(URL_PASSWORD_PATTERN, '$1[redacted]$3'), redacted: true };
+  }
+  return { value: value, redacted: false };
+}
+
+/**
+ * Reads the list of required variable names from PROBE_REQUIRED_ENV.
+ */
+function getRequiredNames() {
+  const configured = process.env[REQUIRED_ENV_VAR];
+  if (configured === undefined) {
+    return DEFAULT_REQUIRED;
+  }
+  return configured.split(',').map((name) => name.trim()).filter(Boolean);
+}
+
+/**
+ * snapshotEnv - Captures the current environment, safe to embed in a page
+ *
+ * @returns {object} { capturedAt, required, variables: { NAME: { value, redacted } } }
+ */
+function snapshotEnv() {
+  const variables = {};
+  for (const name of Object.keys(process.env).sort()) {
+    variables[name] = redactValue(name, process.env[name]);
+  }
+
+  return {
+    capturedAt: new Date().toISOString(),
+    required: getRequiredNames(),
+    variables: variables,
+  };
+}
+
+/**
+ * saveBuildDigests - Writes the keyed digests of the build environment
+ *
+ * Called by getStaticProps of /diagnostics/env/build, and only does anything
+ * during `next build`. Without the file compareEnv() falls back to comparing
+ * the displayed values, which cannot tell a changed secret apart.
+ */
+function saveBuildDigests() {
+  if (process.env.NEXT_PHASE !== 'phase-production-build') {
+    return;
+  }
+  const key = crypto.randomBytes(32).toString('hex');
+  try {
+    fs.writeFileSync(BUILD_DIGESTS_FILE, JSON.stringify({ key: key, values: digestEnv(key) }), { mode: 0o600 });
+  } catch (err) {
+    console.warn(`Could not write ${BUILD_DIGESTS_FILE}: ${err.message}`);
+  }
+}
+
+/**
+ * readBuildSnapshot - Reads the snapshot getStaticProps took during `next build`
+ *
+ * @returns {object|null} The build-time snapshotEnv() result plus `digests`
+ *   ({ key, values } from saveBuildDigests(), or null), or null if missing
+ */
+function readBuildSnapshot() {
+  let snapshot;
+  try {
+    snapshot = JSON.parse(fs.readFileSync(BUILD_SNAPSHOT_FILE, 'utf8')).pageProps.env;
+  } catch (err) {
+    return null;
+  }
+
+  let digests = null;
+  try {
+    digests = JSON.parse(fs.readFileSync(BUILD_DIGESTS_FILE, 'utf8'));
+  } catch (err) {
+    // Built before the digests existed, or the file was not copied over
+  }
+  return { ...snapshot, digests: digests };
+}
+
+/**
+ * compareEnv - Lines up build-time and runtime variables
+ *
+ * Statuses: 'same', 'changed', 'build-only', 'runtime-only', 'missing' (a
+ * required variable set nowhere) and 'unknown' (no build snapshot). A row is flagged
+ * as a problem when a NEXT_PUBLIC_* value differs (the browser still has the
+ * build value) or a required variable is missing at runtime.
+ *
+ * @param {object|null} build - The build-time snapshot
+ * @param {object} runtime - The runtime snapshot
+ * @returns {Array<object>} { name, build, runtime, status, required, problem, expectedToDiffer }
+ */
+function compareEnv(build, runtime) {
+  const buildVariables = build ? build.variables : {};
+  const required = new Set(runtime.required);
+  // The runtime values, hashed with the build's key so they line up with its digests
+  const runtimeDigests = build && build.digests ? digestEnv(build.digests.key) : null;
+  const names = new Set([...Object.keys(buildVariables), ...Object.keys(runtime.variables), ...required]);
+
+  return [...names].sort().map((name) => {
+    const atBuild = buildVariables[name] || null;
+    const atRuntime = runtime.variables[name] || null;
+
+    let status = 'same';
+    if (!atBuild && !atRuntime) {
+      status = 'missing';
+    } else if (!atBuild) {
+      status = build ? 'runtime-only' : 'unknown';
+    } else if (!atRuntime) {
+      status = 'build-only';
+    } else if (runtimeDigests
+      ? build.digests.values[name] !== runtimeDigests[name]
+      : atBuild.value !== atRuntime.value) {
+      status = 'changed';
+    }
+
+    let problem = null;
+    if (required.has(name) && !atRuntime) {
+      problem = 'Required, but not set at runtime';
+    } else if (name.startsWith('NEXT_PUBLIC_') && build && status !== 'same') {
+      problem = 'NEXT_PUBLIC_ values are inlined at build time: the browser still sees the build value';
+    }
+
+    return {
+      name: name,
+      build: atBuild ? atBuild.value : null,
+      runtime: atRuntime ? atRuntime.value : null,
+      status: status,
+      required: required.has(name),
+      problem: problem,
+      expectedToDiffer: EXPECTED_TO_DIFFER.has(name) || name.startsWith(EXPECTED_TO_DIFFER_PREFIX),
+    };
+  });
+}
+
+module.exports = {
+  REQUIRED_ENV_VAR,
+  redactValue,
+  getRequiredNames,
+  snapshotEnv,
+  saveBuildDigests,
+  readBuildSnapshot,
+  compareEnv,
+};
@@ -0,0 +1,144 @@
+/**
+ * ISR Regeneration History
+ *
+ * Keeps a capped log of getStaticProps runs (timestamp, hostname, duration,
+ * trigger) in a local JSON file, so the ISR page can show whether
+ * regeneration really happens every revalidate window, bunches up, or stops.
+ *
+ * STORAGE:
+ * - Written to .next/cache/probe-isr-history.json (override with
+ *   ISR_HISTORY_FILE). `next build` keeps .next/cache, so the history
+ *   survives rebuilds and restarts, as long as the filesystem does
+ * - Every replica has its own file: the page shows the history of the
+ *   replica that generated it
+ * - When the file cannot be written (read-only filesystem, see
+ *   lib/storage.js) the history is kept in memory only, per process
+ *
+ * TRIGGERS:
+ * - 'build': pre-rendered by `next build`
+ * - 'on-demand': res.revalidate(), from /api/revalidate or another replica
+ * - 'time-based': a request after the revalidate window expired
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { performance } = require('perf_hooks');
+const { getHostname } = require('./probe');
+const { isOnDemandRegeneration } = require('./regeneration');
+
+const DEFAULT_HISTORY_FILE = path.join(process.cwd(), '.next', 'cache', 'probe-isr-history.json');
+
+// Oldest entries are dropped beyond this, for all paths together
+const MAX_ENTRIES = 200;
+
+// A gap this many times the revalidate window is highlighted
+const LONG_GAP_FACTOR = 3;
+
+// Shared by every Next.js bundle, like the state in lib/regeneration.js
+const state = globalThis.__probeIsrHistory || { entries: null, persisted: null, error: null };
+globalThis.__probeIsrHistory = state;
+
+/**
+ * Returns the history file path.
+ */
+function getHistoryFile() {
+  return process.env.ISR_HISTORY_FILE || DEFAULT_HISTORY_FILE;
+}
+
+/**
+ * Loads the entries from the history file once per process.
+ */
+function loadEntries() {
+  if (state.entries === null) {
+    try {
+      const saved = JSON.parse(fs.readFileSync(getHistoryFile(), 'utf8'));
+      state.entries = Array.isArray(saved.entries) ? saved.entries : [];
+    } catch (err) {
+      // No history yet, or an unreadable file: start over
+      state.entries = [];
+    }
+  }
+  return state.entries;
+}
+
+/**
+ * Writes the entries to the history file, through a temporary file so a
+ * crash mid-write cannot leave half a JSON document behind.
+ */
+function saveEntries(entries) {
+  const file = getHistoryFile();
+  const tmpFile = `${file}.${process.pid}.tmp`;
+
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(tmpFile, JSON.stringify({ entries: entries }));
+    fs.renameSync(tmpFile, file);
+    state.persisted = true;
+    state.error = null;
+  } catch (err) {
+    state.persisted = false;
+    state.error = err.message;
+  }
+}
+
+/**
+ * recordHistory - Appends a getStaticProps run to the history
+ *
+ * @param {string} pagePath - The page path that was generated (e.g. '/isr')
+ * @param {object} probe - The probe payload the page was generated with
+ * @param {number} startedAt - performance.now() from when getStaticProps started
+ */
+function recordHistory(pagePath, probe, startedAt) {
+  let trigger = 'time-based';
+  if (process.env.NEXT_PHASE === 'phase-production-build') {
+    trigger = 'build';
+  } else if (isOnDemandRegeneration()) {
+    trigger = 'on-demand';
+  }
+
+  const entries = loadEntries();
+  entries.push({
+    path: pagePath,
+    timestamp: probe.renderTime,
+    hostname: getHostname(),
+    durationMs: Math.round((performance.now() - startedAt) * 100) / 100,
+    trigger: trigger,
+  });
+  entries.splice(0, Math.max(0, entries.length - MAX_ENTRIES));
+  saveEntries(entries);
+}
+
+/**
+ * getHistory - The timeline of a page, newest first, with the gaps between runs
+ *
+ * Each entry gets gapSeconds (time since the previous run, null for the
+ * oldest) and longGap (the gap exceeds LONG_GAP_FACTOR revalidate windows).
+ *
+ * @param {string} pagePath - The page path, e.g. '/isr'
+ * @param {number} revalidateSeconds - The configured revalidate window
+ * @returns {object} { entries, persisted, error, file, longGapSeconds }
+ */
+function getHistory(pagePath, revalidateSeconds) {
+  const longGapSeconds = revalidateSeconds * LONG_GAP_FACTOR;
+  const runs = loadEntries().filter((entry) => entry.path === pagePath);
+
+  const entries = runs.map((entry, index) => {
+    const gapSeconds = index > 0
+      ? Math.round((Date.parse(entry.timestamp) - Date.parse(runs[index - 1].timestamp)) / 100) / 10
+      : null;
+    return { ...entry, gapSeconds: gapSeconds, longGap: gapSeconds !== null && gapSeconds > longGapSeconds };
+  });
+
+  return {
+    entries: entries.reverse(),
+    persisted: state.persisted,
+    error: state.error,
+    file: getHistoryFile(),
+    longGapSeconds: longGapSeconds,
+  };
+}
+
+module.exports = {
+  recordHistory,
+  getHistory,
+};
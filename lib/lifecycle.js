@@ -0,0 +1,172 @@
+/**
+ * Process Lifecycle - Readiness and Graceful Shutdown
+ *
+ * Shared by the plain Node.js baseline (hello.js) and the custom Next.js
+ * server (server.js), so both react to SIGTERM the same way:
+ *
+ * 1. signal-received: readiness flips to failing (/readyz returns 503)
+ * 2. drain-delay: keep serving for SHUTDOWN_DRAIN_DELAY_MS so the load
+ *    balancer notices the failing readiness and stops sending traffic
+ * 3. closing-server: stop accepting connections, run the shutdown hooks
+ *    (e.g. closing WebSockets, ending streams), finish in-flight requests
+ * 4. drained: every in-flight request completed
+ * 5. exit: the process exits with code 0
+ *
+ * If requests are still running after SHUTDOWN_TIMEOUT_MS, the process logs
+ * a 'timeout' phase and exits with code 1. A second signal exits immediately.
+ *
+ * WHY THIS IS IMPORTANT FOR YOUR PAAS:
+ * - Shows whether the platform gives pods a grace period before killing them
+ * - Together with a slow endpoint, proves in-flight requests survive a deploy
+ */
+
+const { logEvent } = require('./log');
+
+const DEFAULT_DRAIN_DELAY_MS = 5000;
+const DEFAULT_TIMEOUT_MS = 30000;
+
+// Open streaming responses (e.g. /api/sse) and how to stop each one. API
+// routes run inside the Next.js bundles, so like lib/boot.js the map is kept
+// on globalThis to be shared with server.js
+const openStreams = globalThis.__probeOpenStreams || new Map();
+globalThis.__probeOpenStreams = openStreams;
+
+/**
+ * Reads a millisecond setting from the environment.
+ */
+function readMs(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * trackStream - Registers a response that can outlive the shutdown timeout
+ *
+ * Such a response would keep a graceful shutdown waiting until the timeout,
+ * so endStreams() stops it once the server stops accepting connections.
+ *
+ * @param {http.ServerResponse} res - The streaming response
+ * @param {Function} [stop] - How to stop it, res.end() by default
+ */
+function trackStream(res, stop) {
+  openStreams.set(res, stop || (() => res.end()));
+  res.once('close', () => openStreams.delete(res));
+}
+
+/**
+ * endStreams - Stops every open streaming response, as a shutdown hook.
+ */
+function endStreams() {
+  for (const stop of openStreams.values()) {
+    stop();
+  }
+}
+
+/**
+ * createLifecycle - Creates the readiness/shutdown state for one server
+ *
+ * @param {string} serverName - Identifies the server in log entries
+ * @returns {object} { isReady, getStatus, getReadiness, trackRequest, addShutdownHook, installShutdownHandlers }
+ */
+function createLifecycle(serverName) {
+  const drainDelayMs = readMs('SHUTDOWN_DRAIN_DELAY_MS', DEFAULT_DRAIN_DELAY_MS);
+  const timeoutMs = readMs('SHUTDOWN_TIMEOUT_MS', DEFAULT_TIMEOUT_MS);
+
+  let ready = true;
+  let shuttingDown = false;
+  let inFlight = 0;
+  const shutdownHooks = [];
+
+  function logPhase(phase, fields) {
+    logEvent('shutdown', { server: serverName, phase: phase, inFlight: inFlight, ...fields });
+  }
+
+  /**
+   * Counts a request as in flight until its response is closed.
+   */
+  function trackRequest(res) {
+    inFlight++;
+    res.once('close', () => {
+      inFlight--;
+    });
+  }
+
+  function getStatus() {
+    return { ready: ready, shuttingDown: shuttingDown, inFlight: inFlight };
+  }
+
+  /**
+   * The /readyz response: 200 while ready, 503 once shutdown has started.
+   */
+  function getReadiness() {
+    return {
+      statusCode: ready ? 200 : 503,
+      body: { status: ready ? 'ready' : 'shutting-down', ...getStatus() },
+    };
+  }
+
+  /**
+   * Registers a function to run when the server stops accepting connections.
+   * Long-lived connections (like WebSockets) never finish on their own, so
+   * their owners close them here.
+   */
+  function addShutdownHook(hook) {
+    shutdownHooks.push(hook);
+  }
+
+  /**
+   * Handles SIGTERM/SIGINT for the given http.Server.
+   */
+  function installShutdownHandlers(server) {
+    async function shutdown(signal) {
+      if (shuttingDown) {
+        logPhase('forced-exit', { signal: signal });
+        process.exit(1);
+      }
+
+      shuttingDown = true;
+      ready = false;
+      logPhase('signal-received', { signal: signal, drainDelayMs: drainDelayMs, timeoutMs: timeoutMs });
+
+      // Hard limit for the whole shutdown, including the drain delay
+      setTimeout(() => {
+        logPhase('timeout');
+        process.exit(1);
+      }, timeoutMs).unref();
+
+      logPhase('drain-delay');
+      await new Promise((resolve) => setTimeout(resolve, drainDelayMs));
+
+      logPhase('closing-server');
+      server.close(() => {
+        logPhase('drained');
+        logPhase('exit', { uptime: process.uptime() });
+        process.exit(0);
+      });
+      shutdownHooks.forEach((hook) => hook());
+
+      // Keep-alive connections with no request in flight would hold close() open
+      if (typeof server.closeIdleConnections === 'function') {
+        server.closeIdleConnections();
+      }
+    }
+
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+    process.on('SIGINT', () => shutdown('SIGINT'));
+  }
+
+  return {
+    isReady: () => ready,
+    getStatus,
+    getReadiness,
+    trackRequest,
+    addShutdownHook,
+    installShutdownHandlers,
+  };
+}
+
+module.exports = {
+  trackStream,
+  endStreams,
+  createLifecycle,
+};
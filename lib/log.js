@@ -0,0 +1,224 @@
+/**
+ * Structured Logging
+ *
+ * Writes one JSON object per line to stdout, so platform log collectors can
+ * parse the probe's logs without extra configuration. Every entry carries the
+ * time, hostname and pid, which is what you need to line logs up across pods.
+ *
+ * REQUEST CONTEXT:
+ * Render and regeneration logs also carry a request ID and the W3C trace
+ * context, so they can be joined with the platform's access logs:
+ *
+ * - requestId: the incoming X-Request-Id header (set by many load balancers
+ *   and ingress controllers), or a new UUID
+ * - traceId / parentId: from an incoming `traceparent` header, if valid
+ * - spanId: a new parent-id for this hop, generated when a valid traceparent
+ *   came in. The response carries traceparent 00-<traceId>-<spanId>-<flags>,
+ *   so the trace continues through this service instead of skipping it
+ *
+ * - onDemandRevalidation: true while res.revalidate() regenerates a page,
+ *   either in this process (see withRequestContext) or through a request that
+ *   carries Next.js's x-prerender-revalidate header (another replica, or
+ *   trustHostHeader)
+ *
+ * server.js runs every request inside an AsyncLocalStorage context and
+ * sets X-Request-Id and traceparent on the response. An ISR regeneration
+ * runs in the background of the request that triggered it, so it inherits
+ * that request's context. Under `next start` there is no server.js:
+ * getServerSideProps falls back to reading the headers from `req`.
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { performance } = require('perf_hooks');
+const { getHostname } = require('./probe');
+
+const REQUEST_ID_HEADER = 'x-request-id';
+const TRACEPARENT_HEADER = 'traceparent';
+
+// Sent by res.revalidate() on the request that regenerates the page
+const REVALIDATE_HEADER = 'x-prerender-revalidate';
+
+// Incoming request IDs are logged and echoed, so only accept sane ones
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// version-traceid-parentid-flags, e.g. 00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01
+const TRACEPARENT_PATTERN = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+
+// Shared by server.js and every Next.js bundle, like the state in lib/boot.js
+const requestContext = globalThis.__probeRequestContext || new AsyncLocalStorage();
+globalThis.__probeRequestContext = requestContext;
+
+// Where getRequestContext() keeps the context it built from `req` (without server.js)
+const CONTEXT_KEY = Symbol.for('probe.requestContext');
+
+/**
+ * logEvent - Writes a structured log line
+ *
+ * @param {string} event - What happened, e.g. 'shutdown'
+ * @param {object} [fields] - Extra fields to include in the entry
+ */
+function logEvent(event, fields) {
+  console.log(JSON.stringify({
+    time: new Date().toISOString(),
+    event: event,
+    hostname: getHostname(),
+    pid: process.pid,
+    ...fields,
+  }));
+}
+
+/**
+ * parseTraceparent - Validates a W3C traceparent header
+ *
+ * Follows https://www.w3.org/TR/trace-context/#traceparent-header: version
+ * ff and all-zero trace or parent IDs are invalid.
+ *
+ * @param {string} [value] - The header value
+ * @returns {object|null} { traceId, parentId, flags, sampled }, or null if missing or invalid
+ */
+function parseTraceparent(value) {
+  const match = TRACEPARENT_PATTERN.exec(String(value || '').trim().toLowerCase());
+  if (!match || match[1] === 'ff' || /^0+$/.test(match[2]) || /^0+$/.test(match[3])) {
+    return null;
+  }
+
+  return {
+    traceId: match[2],
+    parentId: match[3],
+    flags: match[4],
+    sampled: (parseInt(match[4], 16) & 1) === 1,
+  };
+}
+
+/**
+ * Generates a span (parent) ID: 8 random bytes as hex, never all zeros.
+ */
+function createSpanId() {
+  let spanId;
+  do {
+    spanId = crypto.randomBytes(8).toString('hex');
+  } while (/^0+$/.test(spanId));
+  return spanId;
+}
+
+/**
+ * createRequestContext - Builds the request ID and trace context of a request
+ *
+ * @param {object} headers - The incoming request headers
+ * @returns {object} { requestId, traceparent, traceId, parentId, spanId, onDemandRevalidation },
+ *   where traceparent is the one this hop propagates (null without an incoming one)
+ */
+function createRequestContext(headers) {
+  const incomingId = headers[REQUEST_ID_HEADER];
+  const trace = parseTraceparent(headers[TRACEPARENT_HEADER]);
+  const spanId = trace ? createSpanId() : null;
+
+  return {
+    requestId: REQUEST_ID_PATTERN.test(incomingId || '') ? incomingId : crypto.randomUUID(),
+    // Version 00 is the only one this parser understands, so it is the one sent on
+    traceparent: trace ? `00-${trace.traceId}-${spanId}-${trace.flags}` : null,
+    traceId: trace ? trace.traceId : null,
+    parentId: trace ? trace.parentId : null,
+    spanId: spanId,
+    onDemandRevalidation: Boolean(headers[REVALIDATE_HEADER]),
+  };
+}
+
+/**
+ * Sets the request ID and this hop's traceparent on the response.
+ */
+function setContextHeaders(res, context) {
+  res.setHeader('X-Request-Id', context.requestId);
+  if (context.traceparent) {
+    res.setHeader('traceparent', context.traceparent);
+  }
+}
+
+/**
+ * runWithRequestContext - Handles a request inside its own request context
+ *
+ * Called by server.js around the Next.js request handler.
+ *
+ * @param {object} req - The incoming request
+ * @param {object} res - The response, which gets the echo headers
+ * @param {Function} handler - Handles the request
+ */
+function runWithRequestContext(req, res, handler) {
+  const context = createRequestContext(req.headers);
+  setContextHeaders(res, context);
+  return requestContext.run(context, handler);
+}
+
+/**
+ * withRequestContext - Runs a handler with extra fields in the request context
+ *
+ * The handler, and everything it starts, sees the current context plus the
+ * given fields; the current context itself is left unchanged.
+ *
+ * @param {object} fields - The fields to add, e.g. { onDemandRevalidation: true }
+ * @param {Function} handler - The code to run
+ * @returns {*} Whatever the handler returns
+ */
+function withRequestContext(fields, handler) {
+  return requestContext.run({ ...requestContext.getStore(), ...fields }, handler);
+}
+
+/**
+ * getRequestContext - The request context of the code that is running
+ *
+ * @param {object} [req] - The request, used when server.js did not set up a context
+ * @param {object} [res] - Its response, to echo the headers in that case
+ * @returns {object|null} { requestId, traceparent, traceId, parentId, spanId, onDemandRevalidation },
+ *   or null outside a request
+ */
+function getRequestContext(req, res) {
+  const context = requestContext.getStore();
+  if (context || !req) {
+    return context || null;
+  }
+
+  if (!req[CONTEXT_KEY]) {
+    req[CONTEXT_KEY] = createRequestContext(req.headers);
+    if (res) {
+      setContextHeaders(res, req[CONTEXT_KEY]);
+    }
+  }
+  return req[CONTEXT_KEY];
+}
+
+/**
+ * logRender - Logs an SSR render or an ISR regeneration
+ *
+ * Nothing is logged while `next build` pre-renders pages: those are not
+ * requests, and would only clutter the build output.
+ *
+ * @param {string} event - 'ssr-render' or 'isr-regeneration'
+ * @param {string} route - The page path, e.g. '/ssr'
+ * @param {number} startedAt - performance.now() from when the render started
+ * @param {object|null} context - The getRequestContext() result
+ */
+function logRender(event, route, startedAt, context) {
+  if (process.env.NEXT_PHASE === 'phase-production-build') {
+    return;
+  }
+
+  logEvent(event, {
+    route: route,
+    durationMs: Math.round((performance.now() - startedAt) * 100) / 100,
+    // withRequestContext() outside a request leaves these unset
+    requestId: (context && context.requestId) || null,
+    traceId: (context && context.traceId) || null,
+    parentId: (context && context.parentId) || null,
+    spanId: (context && context.spanId) || null,
+  });
+}
+
+module.exports = {
+  logEvent,
+  parseTraceparent,
+  runWithRequestContext,
+  withRequestContext,
+  getRequestContext,
+  logRender,
+};
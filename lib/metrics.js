@@ -0,0 +1,153 @@
+/**
+ * Prometheus Metrics
+ *
+ * Counts requests per route, keeps latency histograms and renders them, with
+ * the ISR regeneration count, the process start time and a build-info gauge,
+ * in the Prometheus text exposition format. Served at /api/metrics by both
+ * the Next.js app and hello.js, with the same metric names, so one scrape
+ * config and one dashboard cover both servers.
+ *
+ * METRICS:
+ * - probe_http_requests_total{route,status}        Counter
+ * - probe_http_request_duration_seconds{route}     Histogram
+ * - probe_isr_regenerations_total                  Counter
+ * - process_start_time_seconds                     Gauge
+ * - probe_build_info{server,hostname,next_version,node_version}  Gauge, always 1
+ *
+ * NOTE: Requests are recorded by server.js and hello.js, so under
+ * `next start` the request metrics stay empty. Like lib/boot.js, the state
+ * is kept on globalThis so server.js and the /api/metrics bundle share it.
+ */
+
+const { performance } = require('perf_hooks');
+const { getHostname } = require('./probe');
+const { getRegenerationCount } = require('./regeneration');
+
+// Latency histogram buckets, in seconds
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Paths with their own route label. server.js and hello.js share this list,
+// so their series can be compared; hello.js has no /ssr or /isr and simply
+// never reports them
+const METRIC_ROUTES = ['/', '/ssr', '/isr', '/api/probe/ssr'];
+
+// Requests to any other path are counted under this route label, so the
+// number of series stays bounded whatever URLs clients send
+const OTHER_ROUTE = 'other';
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const state = globalThis.__probeMetrics || {
+  // "route status" -> count
+  requests: new Map(),
+  // route -> { buckets: [count per DURATION_BUCKETS], sum, count }
+  durations: new Map(),
+};
+globalThis.__probeMetrics = state;
+
+/**
+ * routeLabel - Maps a request path to the route label it is counted under
+ *
+ * @param {string} path - The request path, without the query string
+ * @returns {string} The path itself if it is in METRIC_ROUTES, or 'other'
+ */
+function routeLabel(path) {
+  return METRIC_ROUTES.includes(path) ? path : OTHER_ROUTE;
+}
+
+/**
+ * recordRequest - Counts a finished request and its latency
+ *
+ * @param {string} route - The route label (see routeLabel)
+ * @param {number} status - The response status code
+ * @param {number} durationSeconds - From the request arriving to the response finishing
+ */
+function recordRequest(route, status, durationSeconds) {
+  const key = `${route} ${status}`;
+  state.requests.set(key, (state.requests.get(key) || 0) + 1);
+
+  let histogram = state.durations.get(route);
+  if (!histogram) {
+    histogram = { buckets: DURATION_BUCKETS.map(() => 0), sum: 0, count: 0 };
+    state.durations.set(route, histogram);
+  }
+  DURATION_BUCKETS.forEach((bound, index) => {
+    if (durationSeconds <= bound) {
+      histogram.buckets[index]++;
+    }
+  });
+  histogram.sum += durationSeconds;
+  histogram.count++;
+}
+
+/**
+ * Escapes a label value for the text format.
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Formats a set of labels as {name="value",...}.
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * renderMetrics - Renders every metric in the Prometheus text format
+ *
+ * @param {object} build - Labels for probe_build_info
+ * @param {string} build.server - 'next' or 'baseline'
+ * @param {string|null} build.nextVersion - The Next.js version, or null if not running Next.js
+ * @returns {string} The exposition text, ending with a newline
+ */
+function renderMetrics(build) {
+  const lines = [];
+
+  lines.push('# HELP probe_http_requests_total Requests handled, by route and status code.');
+  lines.push('# TYPE probe_http_requests_total counter');
+  for (const [key, count] of state.requests) {
+    const [route, status] = key.split(' ');
+    lines.push(`probe_http_requests_total${formatLabels({ route: route, status: status })} ${count}`);
+  }
+
+  lines.push('# HELP probe_http_request_duration_seconds Request latency, by route.');
+  lines.push('# TYPE probe_http_request_duration_seconds histogram');
+  for (const [route, histogram] of state.durations) {
+    DURATION_BUCKETS.forEach((bound, index) => {
+      lines.push(`probe_http_request_duration_seconds_bucket${formatLabels({ route: route, le: bound })} ${histogram.buckets[index]}`);
+    });
+    lines.push(`probe_http_request_duration_seconds_bucket${formatLabels({ route: route, le: '+Inf' })} ${histogram.count}`);
+    lines.push(`probe_http_request_duration_seconds_sum${formatLabels({ route: route })} ${histogram.sum}`);
+    lines.push(`probe_http_request_duration_seconds_count${formatLabels({ route: route })} ${histogram.count}`);
+  }
+
+  lines.push('# HELP probe_isr_regenerations_total getStaticProps runs (ISR regenerations) in this process.');
+  lines.push('# TYPE probe_isr_regenerations_total counter');
+  lines.push(`probe_isr_regenerations_total ${getRegenerationCount()}`);
+
+  lines.push('# HELP process_start_time_seconds Start time of the process since the Unix epoch, in seconds.');
+  lines.push('# TYPE process_start_time_seconds gauge');
+  lines.push(`process_start_time_seconds ${Math.round(performance.timeOrigin / 1000)}`);
+
+  lines.push('# HELP probe_build_info Always 1; the labels describe the serving process.');
+  lines.push('# TYPE probe_build_info gauge');
+  lines.push(`probe_build_info${formatLabels({
+    server: build.server,
+    hostname: getHostname(),
+    next_version: build.nextVersion || '',
+    node_version: process.version,
+  })} 1`);
+
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  CONTENT_TYPE,
+  METRIC_ROUTES,
+  routeLabel,
+  recordRequest,
+  renderMetrics,
+};
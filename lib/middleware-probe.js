@@ -0,0 +1,36 @@
+/**
+ * Middleware Probe Constants
+ *
+ * Shared by middleware.js and the /diagnostics/middleware page, so the page
+ * checks for exactly what the middleware sets.
+ */
+
+// Set on the response by middleware
+const HOSTNAME_HEADER = 'x-probe-hostname';
+const RAN_AT_HEADER = 'x-probe-middleware-at';
+const MIDDLEWARE_COOKIE = 'probe-middleware';
+
+// The cookie is only set below this path: a Set-Cookie on ISR pages, their
+// /_next/data JSON or API responses would stop CDNs from caching them
+const COOKIE_PATH_PREFIX = '/diagnostics/';
+
+// Set on the request, so pages can tell middleware ran for them
+const REQUEST_HEADER = 'x-probe-middleware';
+
+// Paths the middleware rewrites and redirects
+const REWRITE_PATH = '/middleware/rewrite';
+const REWRITE_TARGET = '/ssr';
+const REDIRECT_PATH = '/middleware/redirect';
+const REDIRECT_TARGET = '/diagnostics/middleware?via=redirect';
+
+module.exports = {
+  HOSTNAME_HEADER,
+  RAN_AT_HEADER,
+  MIDDLEWARE_COOKIE,
+  COOKIE_PATH_PREFIX,
+  REQUEST_HEADER,
+  REWRITE_PATH,
+  REWRITE_TARGET,
+  REDIRECT_PATH,
+  REDIRECT_TARGET,
+};
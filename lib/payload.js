@@ -0,0 +1,87 @@
+/**
+ * Payload Probe Helpers
+ *
+ * Backs /api/payload, which returns a body of a chosen size so the /payload
+ * page can check that it arrives whole, with the encoding it expects.
+ *
+ * KINDS:
+ * - 'text': repetitive text that gzip/brotli shrink a lot, so a missing
+ *   Content-Encoding shows up as a large transfer
+ * - 'random': random bytes that don't compress, so the transfer size shows
+ *   the real payload size
+ *
+ * Every response carries the SHA-256 of the uncompressed body in
+ * X-Payload-Sha256: a body cut off or mangled on the way (for example a
+ * proxy that drops Content-Encoding and leaves the gzip bytes) no longer
+ * matches it.
+ */
+
+const crypto = require('crypto');
+
+const MAX_PAYLOAD_BYTES = 50 * 1024 * 1024;
+const DEFAULT_PAYLOAD_BYTES = 1024 * 1024;
+const DEFAULT_CHUNK_BYTES = 64 * 1024;
+const MIN_CHUNK_BYTES = 1024;
+const MAX_CHUNK_DELAY_MS = 1000;
+
+// A chunked response is cut off after this long, so a slow one cannot keep
+// its body in memory indefinitely
+const MAX_STREAM_MS = 60 * 1000;
+
+const KINDS = ['text', 'random'];
+
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 * 1024 };
+
+/**
+ * parseSize - Converts "512", "100kb" or "10mb" into bytes
+ *
+ * @param {string} [value] - The requested size
+ * @param {number} fallback - Returned when the value is missing or invalid
+ * @returns {number} The size in bytes, clamped to 1..MAX_PAYLOAD_BYTES
+ */
+function parseSize(value, fallback) {
+  const match = /^\s*(\d+(?:\.\d+)?)\s*(b|kb|mb)?\s*$/i.exec(String(value || ''));
+  if (!match) {
+    return fallback;
+  }
+  const bytes = Math.floor(Number(match[1]) * SIZE_UNITS[(match[2] || 'b').toLowerCase()]);
+  return Math.min(Math.max(bytes, 1), MAX_PAYLOAD_BYTES);
+}
+
+/**
+ * Builds a block of numbered text lines, repeated to fill text payloads.
+ */
+function buildTextBlock() {
+  const lines = [];
+  for (let i = 0; i < 1000; i++) {
+    lines.push(`${String(i).padStart(6, '0')} nextjs-probe payload line - this text compresses well with gzip and brotli\n`);
+  }
+  return Buffer.from(lines.join(''));
+}
+
+/**
+ * createPayload - Generates a body and its checksum
+ *
+ * @param {string} kind - 'text' or 'random'
+ * @param {number} size - The body size in bytes
+ * @returns {object} { body, sha256 }
+ */
+function createPayload(kind, size) {
+  const body = kind === 'random' ? crypto.randomBytes(size) : Buffer.alloc(size, buildTextBlock());
+  return {
+    body: body,
+    sha256: crypto.createHash('sha256').update(body).digest('hex'),
+  };
+}
+
+module.exports = {
+  MAX_PAYLOAD_BYTES,
+  DEFAULT_PAYLOAD_BYTES,
+  DEFAULT_CHUNK_BYTES,
+  MIN_CHUNK_BYTES,
+  MAX_CHUNK_DELAY_MS,
+  MAX_STREAM_MS,
+  KINDS,
+  parseSize,
+  createPayload,
+};
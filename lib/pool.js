@@ -0,0 +1,39 @@
+/**
+ * Concurrency Pool
+ *
+ * Runs a fixed number of async tasks with at most `concurrency` in flight.
+ * Used by the probe CLI and by the in-browser probe pages, so it only relies
+ * on plain JavaScript.
+ */
+
+/**
+ * runPool - Runs task(index) for index = 0..total-1 with limited concurrency
+ *
+ * @param {number} total - How many tasks to run
+ * @param {number} concurrency - The maximum number of tasks in flight
+ * @param {Function} task - Async function called with the task index
+ * @returns {Promise<Array>} The task results, in index order
+ */
+async function runPool(total, concurrency, task) {
+  const results = new Array(total);
+  let next = 0;
+
+  async function worker() {
+    while (next < total) {
+      const index = next++;
+      results[index] = await task(index);
+    }
+  }
+
+  const workers = [];
+  for (let i = 0; i < Math.min(concurrency, total); i++) {
+    workers.push(worker());
+  }
+  await Promise.all(workers);
+
+  return results;
+}
+
+module.exports = {
+  runPool,
+};
@@ -0,0 +1,63 @@
+/**
+ * Probe Data Collection
+ *
+ * This module gathers the data shown on the SSR and ISR test pages. The pages
+ * and the JSON API routes under /api/probe both call into here, so the HTML
+ * and the machine-readable output can never drift apart.
+ *
+ * WHY THIS IS IMPORTANT FOR YOUR PAAS:
+ * - Deployment checks can read the same fields as JSON instead of scraping HTML
+ * - The schema is versioned, so tooling can detect breaking changes
+ */
+
+// Bump this whenever a field is renamed or removed from the probe payload
+const PROBE_SCHEMA_VERSION = 1;
+
+// Shown when the platform does not inject HOSTNAME into the container
+const HOSTNAME_FALLBACK = 'Not set (check your platform configuration)';
+
+/**
+ * Reads the installed Next.js version, or null when Next.js is not available
+ * (for example when the probe runs outside the Next.js app).
+ */
+function getNextVersion() {
+  try {
+    return require('next/package.json').version;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Returns the hostname that identifies the serving container/pod.
+ */
+function getHostname() {
+  return process.env.HOSTNAME || HOSTNAME_FALLBACK;
+}
+
+/**
+ * collectProbeData - Gathers a fresh probe payload
+ *
+ * @param {string} mode - The rendering mode being probed ('ssr' or 'isr')
+ * @returns {object} The versioned probe payload
+ */
+function collectProbeData(mode) {
+  return {
+    schemaVersion: PROBE_SCHEMA_VERSION,
+    mode: mode,
+    renderTime: new Date().toISOString(),
+    hostname: getHostname(),
+    uptime: process.uptime(),
+    nextVersion: getNextVersion(),
+    cached: false,
+    stale: false,
+  };
+}
+
+module.exports = {
+  PROBE_SCHEMA_VERSION,
+  HOSTNAME_FALLBACK,
+  getHostname,
+  getNextVersion,
+  collectProbeData,
+};
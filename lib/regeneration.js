@@ -0,0 +1,137 @@
+/**
+ * ISR Regeneration Tracking
+ *
+ * getStaticProps records every (re)generation of an ISR page here, keyed by
+ * the page path. The on-demand revalidation API reads it back to report the
+ * new renderTime after calling res.revalidate(), and /api/probe/isr returns
+ * the probe payload of the version that is being served.
+ *
+ * NOTE: This lives in process memory. It only sees regenerations that ran in
+ * the same process as the caller, which is what res.revalidate() does.
+ * Next.js bundles every page and API route separately, so the map is kept on
+ * globalThis to share one instance between them. The total count is exported
+ * as a metric by lib/metrics.js.
+ *
+ * /api/revalidate marks its res.revalidate() calls in the request context
+ * (see lib/log.js), so the history in lib/isr-history.js can tell on-demand
+ * regenerations from time-based ones. The mark belongs to the request that
+ * regenerates the page, not to the path: a time-based regeneration running at
+ * the same time keeps its own label.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PROBE_SCHEMA_VERSION, getNextVersion } = require('./probe');
+const { withRequestContext, getRequestContext } = require('./log');
+
+// Where Next.js keeps the generated Pages Router pages (see lib/storage.js)
+const PAGES_DIR = path.join(process.cwd(), '.next', 'server', 'pages');
+
+const lastRegenerations = globalThis.__probeLastRegenerations || new Map();
+globalThis.__probeLastRegenerations = lastRegenerations;
+
+const stats = globalThis.__probeRegenerationStats || { total: 0 };
+globalThis.__probeRegenerationStats = stats;
+
+/**
+ * recordRegeneration - Stores the result of a getStaticProps run
+ *
+ * @param {string} path - The page path that was generated (e.g. '/isr')
+ * @param {object} probe - The probe payload the page was generated with
+ */
+function recordRegeneration(path, probe) {
+  stats.total++;
+  lastRegenerations.set(path, { ...probe, path: path });
+}
+
+/**
+ * getLastRegeneration - Returns the last recorded generation of a path
+ *
+ * @param {string} path - The page path to look up
+ * @returns {object|null} The recorded generation, or null if none was seen
+ */
+function getLastRegeneration(path) {
+  return lastRegenerations.get(path) || null;
+}
+
+/**
+ * Reads the props Next.js saved for a generated page, or null if there are none.
+ */
+function readSavedProps(pagePath) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(PAGES_DIR, `${pagePath}.json`), 'utf8')).pageProps;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * getServedGeneration - The probe payload of the version of a page being served
+ *
+ * Uses the generation recorded in this process, or the props Next.js saved
+ * next to the page in .next when they are newer: the build-time version
+ * before this process regenerated anything, or a version saved by another
+ * process sharing .next. Saved props only have renderTime and hostname, so
+ * uptime is null for those.
+ *
+ * @param {string} pagePath - The page path, e.g. '/isr'
+ * @returns {object|null} The probe payload, or null if the page was never generated
+ */
+function getServedGeneration(pagePath) {
+  const recorded = lastRegenerations.get(pagePath) || null;
+  const saved = readSavedProps(pagePath);
+
+  if (!saved || !saved.renderTime || (recorded && Date.parse(recorded.renderTime) >= Date.parse(saved.renderTime))) {
+    return recorded;
+  }
+  return {
+    schemaVersion: PROBE_SCHEMA_VERSION,
+    mode: 'isr',
+    renderTime: saved.renderTime,
+    hostname: saved.hostname,
+    uptime: null,
+    nextVersion: getNextVersion(),
+    cached: false,
+    stale: false,
+    path: pagePath,
+  };
+}
+
+/**
+ * Returns how many generations this process has recorded, for every path.
+ */
+function getRegenerationCount() {
+  return stats.total;
+}
+
+/**
+ * revalidateOnDemand - Runs res.revalidate() for a path, marked as on-demand
+ *
+ * Next.js regenerates the page inside this call, so getStaticProps runs in
+ * the marked context. With trustHostHeader the regeneration is a separate
+ * HTTP request instead, which is recognized by its x-prerender-revalidate header.
+ *
+ * @param {object} res - The API route response
+ * @param {string} path - The page path to regenerate
+ * @returns {Promise<void>} Resolves once the new version is stored
+ */
+async function revalidateOnDemand(res, path) {
+  await withRequestContext({ onDemandRevalidation: true }, () => res.revalidate(path));
+}
+
+/**
+ * Whether the running getStaticProps was started by res.revalidate().
+ */
+function isOnDemandRegeneration() {
+  const context = getRequestContext();
+  return Boolean(context && context.onDemandRevalidation);
+}
+
+module.exports = {
+  recordRegeneration,
+  getLastRegeneration,
+  getServedGeneration,
+  getRegenerationCount,
+  revalidateOnDemand,
+  isOnDemandRegeneration,
+};
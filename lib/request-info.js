@@ -0,0 +1,259 @@
+/**
+ * Request Inspection - What the app actually sees of the incoming request
+ *
+ * Proxies and load balancers in front of the app are supposed to forward the
+ * client IP, the original protocol and the original host in X-Forwarded-* (or
+ * the standard Forwarded) headers. When they don't, the app still works, but
+ * it logs the proxy's IP instead of the client's, builds http:// URLs for an
+ * https site and redirects to internal hostnames.
+ *
+ * inspectRequest() reports the effective client IP, protocol and host as the
+ * app resolves them, and flags the common mistakes.
+ *
+ * NOTE: Next.js fills in missing X-Forwarded-Host/-Port/-Proto/-For headers
+ * itself before pages run. server.js calls snapshotForwardedHeaders() before
+ * handing the request to Next.js, so the report shows what the proxy sent.
+ * Under `next start` there is no snapshot, and headers that were missing may
+ * show up with values Next.js made up.
+ */
+
+// Headers a proxy may add to describe the original request
+const FORWARDED_HEADERS = [
+  'forwarded',
+  'x-forwarded-for',
+  'x-forwarded-proto',
+  'x-forwarded-host',
+  'x-forwarded-port',
+  'x-real-ip',
+];
+
+// Symbol.for, so the key is the same in server.js and in every Next.js bundle
+const ORIGINAL_HEADERS = Symbol.for('probe.originalForwardedHeaders');
+
+/**
+ * snapshotForwardedHeaders - Records the forwarded headers as the proxy sent them
+ *
+ * Must run before the request reaches Next.js.
+ *
+ * @param {object} req - The Node.js request
+ */
+function snapshotForwardedHeaders(req) {
+  const snapshot = {};
+  for (const name of FORWARDED_HEADERS) {
+    if (req.headers[name] !== undefined) {
+      snapshot[name] = req.headers[name];
+    }
+  }
+  req[ORIGINAL_HEADERS] = snapshot;
+}
+
+/**
+ * Splits a comma-separated header into trimmed, non-empty values.
+ */
+function splitList(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return String(value).split(',').map((item) => item.trim()).filter(Boolean);
+}
+
+/**
+ * Strips the IPv4-mapped IPv6 prefix Node.js uses for IPv4 sockets.
+ */
+function normalizeIp(address) {
+  if (!address) {
+    return null;
+  }
+  return address.startsWith('::ffff:') ? address.slice('::ffff:'.length) : address;
+}
+
+/**
+ * Removes the quotes, brackets and port from a Forwarded `for=` value,
+ * e.g. "[2001:db8::1]:4711" -> 2001:db8::1
+ */
+function parseForwardedNode(value) {
+  const unquoted = value.replace(/^"|"$/g, '');
+  const bracketed = unquoted.match(/^\[([^\]]+)\]/);
+  if (bracketed) {
+    return bracketed[1];
+  }
+  // Only strip a port from IPv4/hostnames, a bare IPv6 address has several colons
+  return unquoted.split(':').length === 2 ? unquoted.split(':')[0] : unquoted;
+}
+
+/**
+ * parseForwardedHeader - Parses the standard Forwarded header (RFC 7239)
+ *
+ * @param {string} value - e.g. 'for=192.0.2.60;proto=https;host=example.com, for=10.0.0.1'
+ * @returns {Array<object>} One { for, proto, host, by } entry per proxy hop
+ */
+function parseForwardedHeader(value) {
+  return splitList(value).map((element) => {
+    const hop = {};
+    for (const pair of element.split(';')) {
+      const [key, ...rest] = pair.split('=');
+      if (!key || rest.length === 0) {
+        continue;
+      }
+      const name = key.trim().toLowerCase();
+      const raw = rest.join('=').trim();
+      hop[name] = name === 'for' || name === 'by' ? parseForwardedNode(raw) : raw.replace(/^"|"$/g, '');
+    }
+    return hop;
+  });
+}
+
+/**
+ * inspectRequest - Reports the request as the app sees it
+ *
+ * The effective values follow the usual convention: the leftmost forwarded
+ * value describes the original client, falling back to the socket.
+ *
+ * @param {object} req - The Node.js request (e.g. from getServerSideProps)
+ * @returns {object} Effective client IP/protocol/host, the raw headers and findings
+ */
+function inspectRequest(req) {
+  const snapshot = req[ORIGINAL_HEADERS];
+  const headers = snapshot || req.headers;
+  const socket = req.socket || {};
+
+  const forwarded = parseForwardedHeader(headers['forwarded']);
+  const forwardedFor = splitList(headers['x-forwarded-for']);
+  const forwardedProto = splitList(headers['x-forwarded-proto']).map((proto) => proto.toLowerCase());
+  const forwardedHost = splitList(headers['x-forwarded-host']);
+  const realIp = headers['x-real-ip'] || null;
+  const remoteAddress = normalizeIp(socket.remoteAddress);
+  const tls = Boolean(socket.encrypted);
+
+  let clientIp = remoteAddress;
+  let clientIpSource = 'socket';
+  if (forwarded.length > 0 && forwarded[0].for) {
+    clientIp = normalizeIp(forwarded[0].for);
+    clientIpSource = 'forwarded';
+  } else if (forwardedFor.length > 0) {
+    clientIp = normalizeIp(forwardedFor[0]);
+    clientIpSource = 'x-forwarded-for';
+  } else if (realIp) {
+    clientIp = normalizeIp(realIp);
+    clientIpSource = 'x-real-ip';
+  }
+
+  const protocol = (forwarded.length > 0 && forwarded[0].proto) || forwardedProto[0] || (tls ? 'https' : 'http');
+  const host = (forwarded.length > 0 && forwarded[0].host) || forwardedHost[0] || req.headers.host || null;
+
+  const info = {
+    clientIp: clientIp,
+    clientIpSource: clientIpSource,
+    remoteAddress: remoteAddress,
+    protocol: protocol,
+    host: host,
+    hostHeader: req.headers.host || null,
+    httpVersion: req.httpVersion,
+    tls: tls,
+    forwardedFor: forwardedFor,
+    forwardedProto: forwardedProto,
+    forwardedHost: forwardedHost,
+    forwardedPort: headers['x-forwarded-port'] || null,
+    forwarded: forwarded,
+    realIp: realIp,
+    // False under `next start`, where Next.js may have filled in missing headers
+    headersSnapshotted: Boolean(snapshot),
+  };
+
+  return { ...info, findings: findMistakes(info) };
+}
+
+/**
+ * findMistakes - Flags common proxy misconfigurations
+ *
+ * @param {object} info - The fields computed by inspectRequest
+ * @returns {Array<object>} { code, severity: 'error'|'warning'|'info', message }
+ */
+function findMistakes(info) {
+  const findings = [];
+  const add = (code, severity, message) => findings.push({ code, severity, message });
+
+  if (info.forwardedFor.length === 0 && info.forwarded.length === 0 && !info.realIp) {
+    add('missing-forwarded-for', 'warning',
+      `No X-Forwarded-For, Forwarded or X-Real-IP header: the client IP is the socket address (${info.remoteAddress}). Behind a proxy, that is the proxy's IP, not the client's.`);
+  }
+
+  if (info.forwardedProto.length === 0 && !info.forwarded.some((hop) => hop.proto) && !info.tls) {
+    add('missing-forwarded-proto', 'warning',
+      'No X-Forwarded-Proto header and no TLS on the socket: the app assumes http. If clients connect over https, redirects and absolute URLs will use http://.');
+  }
+
+  if (new Set(info.forwardedProto).size > 1) {
+    add('conflicting-proto', 'error',
+      `X-Forwarded-Proto has conflicting values (${info.forwardedProto.join(', ')}): proxies in the chain disagree on the protocol.`);
+  }
+
+  const hops = info.forwardedFor.map(normalizeIp);
+  const duplicates = hops.filter((ip, index) => hops.indexOf(ip) !== index);
+  if (duplicates.length > 0) {
+    add('duplicate-hops', 'warning',
+      `X-Forwarded-For lists ${[...new Set(duplicates)].join(', ')} more than once: a proxy appends itself twice, or requests loop through it.`);
+  }
+
+  if (info.forwardedHost.length > 1) {
+    add('multiple-forwarded-hosts', 'warning',
+      `X-Forwarded-Host has ${info.forwardedHost.length} values (${info.forwardedHost.join(', ')}): more than one proxy set it.`);
+  }
+
+  if (info.forwardedHost.length > 0 && info.hostHeader && info.forwardedHost[0] !== info.hostHeader) {
+    add('host-rewritten', 'info',
+      `The proxy rewrote Host to ${info.hostHeader} (original: ${info.forwardedHost[0]}). Code that builds URLs from Host instead of X-Forwarded-Host will use the internal name.`);
+  }
+
+  if (info.httpVersion === '1.0') {
+    add('http-1.0', 'warning',
+      'The request arrived over HTTP/1.0: keep-alive and chunked responses (streaming, SSE) will not work through this proxy.');
+  }
+
+  if (!info.headersSnapshotted) {
+    add('headers-not-snapshotted', 'info',
+      'Running without server.js (e.g. `next start`): Next.js fills in missing X-Forwarded-* headers itself, so missing headers may not be detected.');
+  }
+
+  return findings;
+}
+
+/**
+ * compareWithClient - Flags differences between what the client used and what the app saw
+ *
+ * Only the client knows which protocol and host it really connected to, so
+ * this runs in the browser (and in the JSON route via ?expectProto=&expectHost=).
+ *
+ * @param {object} info - The result of inspectRequest
+ * @param {object} expected - { protocol: 'https', host: 'example.com' }, either may be missing
+ * @returns {Array<object>} Findings in the same shape as inspectRequest's
+ */
+function compareWithClient(info, expected) {
+  const findings = [];
+
+  if (expected.protocol && expected.protocol !== info.protocol) {
+    findings.push({
+      code: expected.protocol === 'https' ? 'https-seen-as-http' : 'protocol-mismatch',
+      severity: 'error',
+      message: `The client used ${expected.protocol} but the app sees ${info.protocol}: the forwarded protocol is missing or wrong.`,
+    });
+  }
+
+  if (expected.host && expected.host !== info.host) {
+    findings.push({
+      code: 'host-mismatch',
+      severity: 'error',
+      message: `The client used host ${expected.host} but the app resolves ${info.host}: the forwarded host is missing or wrong.`,
+    });
+  }
+
+  return findings;
+}
+
+module.exports = {
+  FORWARDED_HEADERS,
+  snapshotForwardedHeaders,
+  parseForwardedHeader,
+  inspectRequest,
+  compareWithClient,
+};
@@ -0,0 +1,237 @@
+/**
+ * Container Resources and Process Health
+ *
+ * Reports what this process can actually use, as opposed to what the host
+ * machine has:
+ *
+ * - cgroup CPU and memory limits, read from /sys/fs/cgroup (v2 and v1)
+ * - os.cpus() and the load average (these describe the host, not the container)
+ * - heap and RSS usage, and the V8 heap limit
+ * - event-loop lag, sampled with perf_hooks.monitorEventLoopDelay
+ * - active handles (sockets, timers, servers...) from process.getActiveResourcesInfo()
+ *
+ * WHY THIS MATTERS:
+ * - Node.js sizes its heap from the host memory, not the container limit, so
+ *   a heap limit above the memory limit ends in an OOM kill instead of a GC
+ * - os.cpus() lists every host core even when the container gets half of one
+ *
+ * Like lib/boot.js, the event-loop histogram lives on globalThis so server.js
+ * and every Next.js bundle share it.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const v8 = require('v8');
+const { monitorEventLoopDelay } = require('perf_hooks');
+
+const CGROUP_ROOT = '/sys/fs/cgroup';
+
+// cgroup v1 reports "no limit" as a huge page-aligned number instead of "max"
+const V1_UNLIMITED_BYTES = 2 ** 60;
+
+// How often the event-loop monitor samples; every sample includes this interval
+const EVENT_LOOP_RESOLUTION_MS = 20;
+
+// Warn when memory usage gets this close to the cgroup limit
+const MEMORY_WARNING_RATIO = 0.9;
+
+/**
+ * startEventLoopMonitor - Starts sampling event-loop lag, once per process
+ *
+ * Called by server.js at boot, and by getResourceReport() in case the
+ * process was started with `next start`.
+ */
+function startEventLoopMonitor() {
+  if (!globalThis.__probeEventLoop) {
+    const histogram = monitorEventLoopDelay({ resolution: EVENT_LOOP_RESOLUTION_MS });
+    histogram.enable();
+    globalThis.__probeEventLoop = { histogram: histogram, startedAt: Date.now() };
+  }
+  return globalThis.__probeEventLoop;
+}
+
+/**
+ * Reads a cgroup file, or returns null if it does not exist.
+ */
+function readCgroupFile(dir, file) {
+  try {
+    return fs.readFileSync(path.join(dir, file), 'utf8').trim();
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Parses a byte count from a cgroup file ("max" and v1's huge value mean no limit).
+ */
+function parseBytes(value) {
+  if (value === null || value === 'max') {
+    return null;
+  }
+  const bytes = Number(value);
+  return Number.isFinite(bytes) && bytes < V1_UNLIMITED_BYTES ? bytes : null;
+}
+
+/**
+ * findCgroupDir - Where this process's cgroup files are
+ *
+ * /proc/self/cgroup gives the cgroup path ("0::/path" on v2, "4:memory:/path"
+ * on v1). Inside a container the cgroup namespace usually maps it to the
+ * root, so the path is only used when that directory exists.
+ *
+ * @param {string} base - /sys/fs/cgroup, or /sys/fs/cgroup/<controller> on v1
+ * @param {string} controller - '' for v2, or the v1 controller name
+ * @returns {string} The directory to read from
+ */
+function findCgroupDir(base, controller) {
+  try {
+    for (const line of fs.readFileSync('/proc/self/cgroup', 'utf8').split('\n')) {
+      const [, controllers, cgroupPath] = line.split(':');
+      if (cgroupPath && controllers.split(',').includes(controller)) {
+        const dir = path.join(base, cgroupPath);
+        if (fs.existsSync(dir)) {
+          return dir;
+        }
+      }
+    }
+  } catch (err) {
+    // Not Linux, fall back to the root
+  }
+  return base;
+}
+
+/**
+ * readCgroupLimits - Reads the CPU and memory limits of this container
+ *
+ * @returns {object} { version, cpu: { quota, period, limitCores }, memory: { limitBytes, usageBytes } }
+ *   version is 2, 1 or null when no cgroup filesystem was found; null limits mean unlimited
+ */
+function readCgroupLimits() {
+  if (fs.existsSync(path.join(CGROUP_ROOT, 'cgroup.controllers'))) {
+    const dir = findCgroupDir(CGROUP_ROOT, '');
+    // cpu.max is "<quota> <period>", e.g. "50000 100000" for half a core, or "max 100000"
+    const [quota, period] = (readCgroupFile(dir, 'cpu.max') || 'max 100000').split(' ');
+    return buildLimits(2, quota === 'max' ? null : Number(quota), Number(period),
+      readCgroupFile(dir, 'memory.max'), readCgroupFile(dir, 'memory.current'));
+  }
+
+  if (fs.existsSync(path.join(CGROUP_ROOT, 'memory')) || fs.existsSync(path.join(CGROUP_ROOT, 'cpu'))) {
+    const cpuDir = findCgroupDir(path.join(CGROUP_ROOT, 'cpu'), 'cpu');
+    const memoryDir = findCgroupDir(path.join(CGROUP_ROOT, 'memory'), 'memory');
+    const quota = Number(readCgroupFile(cpuDir, 'cpu.cfs_quota_us'));
+    return buildLimits(1, quota > 0 ? quota : null, Number(readCgroupFile(cpuDir, 'cpu.cfs_period_us')),
+      readCgroupFile(memoryDir, 'memory.limit_in_bytes'), readCgroupFile(memoryDir, 'memory.usage_in_bytes'));
+  }
+
+  return buildLimits(null, null, null, null, null);
+}
+
+/**
+ * Shapes the values read from either cgroup version.
+ */
+function buildLimits(version, quota, period, memoryLimit, memoryUsage) {
+  return {
+    version: version,
+    cpu: {
+      quota: quota,
+      period: period || null,
+      limitCores: quota && period ? Math.round((quota / period) * 100) / 100 : null,
+    },
+    memory: {
+      limitBytes: parseBytes(memoryLimit),
+      usageBytes: parseBytes(memoryUsage),
+    },
+  };
+}
+
+/**
+ * getEventLoopLag - Event-loop delay since the monitor started
+ *
+ * @returns {object} { meanMs, p50Ms, p99Ms, maxMs, sampledForSeconds }
+ */
+function getEventLoopLag() {
+  const { histogram, startedAt } = startEventLoopMonitor();
+  // The histogram is in nanoseconds and has no usable values before the first sample
+  const toMs = (ns) => (histogram.count > 0
+    ? Math.round(Math.max(0, ns / 1e6 - EVENT_LOOP_RESOLUTION_MS) * 100) / 100
+    : null);
+
+  return {
+    meanMs: toMs(histogram.mean),
+    p50Ms: toMs(histogram.percentile(50)),
+    p99Ms: toMs(histogram.percentile(99)),
+    maxMs: toMs(histogram.max),
+    sampledForSeconds: Math.round((Date.now() - startedAt) / 1000),
+  };
+}
+
+/**
+ * getActiveHandles - Counts the resources keeping the event loop alive
+ *
+ * @returns {object} { total, byType: { TCPSocketWrap: 3, Timeout: 2, ... } }
+ */
+function getActiveHandles() {
+  const byType = {};
+  for (const type of process.getActiveResourcesInfo()) {
+    byType[type] = (byType[type] || 0) + 1;
+  }
+  return { total: Object.values(byType).reduce((sum, count) => sum + count, 0), byType: byType };
+}
+
+/**
+ * getResourceReport - Everything the resources page and JSON route show
+ *
+ * @returns {object} { cgroup, cpus, loadAverage, memory, eventLoop, activeHandles, warnings }
+ */
+function getResourceReport() {
+  const cgroup = readCgroupLimits();
+  const cpus = os.cpus();
+  const usage = process.memoryUsage();
+  const heapLimit = v8.getHeapStatistics().heap_size_limit;
+
+  const report = {
+    cgroup: cgroup,
+    cpus: {
+      count: cpus.length,
+      availableParallelism: typeof os.availableParallelism === 'function' ? os.availableParallelism() : cpus.length,
+      model: cpus.length > 0 ? cpus[0].model : null,
+      speedMhz: cpus.length > 0 ? cpus[0].speed : null,
+    },
+    loadAverage: os.loadavg().map((load) => Math.round(load * 100) / 100),
+    memory: {
+      rssBytes: usage.rss,
+      heapUsedBytes: usage.heapUsed,
+      heapTotalBytes: usage.heapTotal,
+      heapLimitBytes: heapLimit,
+      externalBytes: usage.external,
+      hostTotalBytes: os.totalmem(),
+      hostFreeBytes: os.freemem(),
+    },
+    eventLoop: getEventLoopLag(),
+    activeHandles: getActiveHandles(),
+    warnings: [],
+  };
+
+  const { limitBytes, usageBytes } = cgroup.memory;
+  if (limitBytes !== null && heapLimit > limitBytes) {
+    report.warnings.push('The V8 heap limit is above the container memory limit: the process will be OOM-killed before it garbage collects. Set NODE_OPTIONS=--max-old-space-size below the limit.');
+  }
+  if (limitBytes !== null && usageBytes !== null && usageBytes > limitBytes * MEMORY_WARNING_RATIO) {
+    report.warnings.push(`Memory usage is above ${MEMORY_WARNING_RATIO * 100}% of the container limit.`);
+  }
+  if (cgroup.cpu.limitCores !== null && cgroup.cpu.limitCores < cpus.length) {
+    report.warnings.push(`os.cpus() reports ${cpus.length} CPUs but the container is limited to ${cgroup.cpu.limitCores}: anything sized from os.cpus() (worker pools, cluster) oversubscribes the CPU.`);
+  }
+  if (report.loadAverage[0] > (cgroup.cpu.limitCores || cpus.length)) {
+    report.warnings.push('The 1-minute load average is above the available CPUs (note: the load average covers the whole host).');
+  }
+
+  return report;
+}
+
+module.exports = {
+  startEventLoopMonitor,
+  readCgroupLimits,
+  getResourceReport,
+};
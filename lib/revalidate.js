@@ -0,0 +1,85 @@
+/**
+ * ISR Revalidation Window Configuration
+ *
+ * The revalidate interval used by every ISR page and by /api/probe/isr comes
+ * from the ISR_REVALIDATE_SECONDS env var, so short (1s) and long (1h) windows
+ * can be tested without code changes.
+ *
+ * ACCEPTED VALUES:
+ * - A plain number of seconds: "10", "3600"
+ * - A number with a unit suffix: "1s", "5m", "1h"
+ *
+ * NOTE: getStaticProps reads the value at build time (npm run build) and again
+ * on every regeneration, so set it for both the build and the running app.
+ */
+
+const DEFAULT_REVALIDATE_SECONDS = 10;
+
+const UNIT_SECONDS = { s: 1, m: 60, h: 3600 };
+
+/**
+ * parseDuration - Converts "10", "1s", "5m" or "1h" into seconds
+ *
+ * @param {string} value - The configured duration
+ * @returns {number|null} The duration in seconds, or null if it is invalid
+ */
+function parseDuration(value) {
+  const match = /^\s*(\d+)\s*([smh]?)\s*$/i.exec(String(value));
+  if (!match) {
+    return null;
+  }
+
+  const seconds = Number(match[1]) * UNIT_SECONDS[(match[2] || 's').toLowerCase()];
+  return seconds > 0 ? seconds : null;
+}
+
+/**
+ * getRevalidateSeconds - Returns the configured revalidate window
+ *
+ * @returns {number} The window in seconds (defaults to 10)
+ * @throws {Error} If ISR_REVALIDATE_SECONDS is set but not a valid duration
+ */
+function getRevalidateSeconds() {
+  const configured = process.env.ISR_REVALIDATE_SECONDS;
+  if (configured === undefined || configured === '') {
+    return DEFAULT_REVALIDATE_SECONDS;
+  }
+
+  const seconds = parseDuration(configured);
+  if (seconds === null) {
+    throw new Error(
+      `Invalid ISR_REVALIDATE_SECONDS "${configured}": use a positive number of seconds or a value like "1s", "5m", "1h"`
+    );
+  }
+  return seconds;
+}
+
+/**
+ * formatDuration - Formats seconds for display, e.g. "10 seconds" or "1 hour"
+ *
+ * Safe to call in the browser - pages pass the configured value as a prop.
+ *
+ * @param {number} seconds - The duration in seconds
+ * @returns {string} A human-readable duration
+ */
+function formatDuration(seconds) {
+  let amount = seconds;
+  let unit = 'second';
+
+  if (seconds % 3600 === 0) {
+    amount = seconds / 3600;
+    unit = 'hour';
+  } else if (seconds % 60 === 0) {
+    amount = seconds / 60;
+    unit = 'minute';
+  }
+
+  return `${amount} ${unit}${amount === 1 ? '' : 's'}`;
+}
+
+module.exports = {
+  DEFAULT_REVALIDATE_SECONDS,
+  parseDuration,
+  getRevalidateSeconds,
+  formatDuration,
+};
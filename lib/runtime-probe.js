@@ -0,0 +1,95 @@
+/**
+ * Runtime Probe - Works on both the Node.js and the edge runtime
+ *
+ * lib/probe.js assumes Node.js (process.uptime() and friends). On the edge
+ * runtime those APIs are missing, so this module checks for every API before
+ * using it and reports which ones are unavailable.
+ *
+ * The payload has the same fields as /api/probe/ssr (null where the runtime
+ * cannot provide them), plus:
+ * - runtime: 'nodejs' or 'edge'
+ * - hostnameSet: whether HOSTNAME has a value, which says nothing about the
+ *   runtime: the platform may simply not set it
+ * - apis: { name: true/false } for each Node.js API checked
+ * - missingApis: the names of the unavailable ones
+ */
+
+const { PROBE_SCHEMA_VERSION } = require('./probe');
+
+// Bundled at build time, so this also works where require() does not exist at runtime
+const { version: NEXT_VERSION } = require('next/package.json');
+
+/**
+ * isAvailable - Whether reading an API works on the current runtime
+ *
+ * The edge sandbox does not just leave Node.js APIs undefined: functions such
+ * as process.uptime are replaced by stubs that throw when called, so function
+ * checks must call them, and every check runs in a try/catch.
+ *
+ * @param {Function} read - Reads (or calls) the API to check
+ * @returns {boolean} True if it could be read and is not undefined
+ */
+function isAvailable(read) {
+  try {
+    return read() !== undefined;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Reads process.env.HOSTNAME, or null where it is not available.
+ */
+function readHostname() {
+  return isAvailable(() => process.env.HOSTNAME) ? process.env.HOSTNAME || null : null;
+}
+
+/**
+ * detectNodeApis - Checks which Node.js APIs the current runtime provides
+ *
+ * Only whether an API exists, not what it holds: process.env is available
+ * even when the variables the probe reads are unset.
+ *
+ * @returns {object} { 'process.env': boolean, 'process.uptime()': boolean, ... }
+ */
+function detectNodeApis() {
+  return {
+    'process.env': typeof process !== 'undefined' && !!process.env,
+    'process.uptime()': isAvailable(() => process.uptime()),
+    'process.memoryUsage()': isAvailable(() => process.memoryUsage()),
+    'process.pid': isAvailable(() => process.pid),
+    'process.version': isAvailable(() => process.version),
+    Buffer: isAvailable(() => Buffer),
+    setImmediate: isAvailable(() => setImmediate),
+  };
+}
+
+/**
+ * collectRuntimeProbe - Gathers a probe payload on any runtime
+ *
+ * @param {string} runtime - The runtime the caller runs on ('nodejs' or 'edge')
+ * @returns {object} The probe payload with API availability
+ */
+function collectRuntimeProbe(runtime) {
+  const apis = detectNodeApis();
+
+  return {
+    schemaVersion: PROBE_SCHEMA_VERSION,
+    mode: runtime === 'edge' ? 'edge' : 'ssr',
+    runtime: runtime,
+    renderTime: new Date().toISOString(),
+    hostname: readHostname(),
+    hostnameSet: readHostname() !== null,
+    uptime: apis['process.uptime()'] ? process.uptime() : null,
+    nextVersion: NEXT_VERSION,
+    cached: false,
+    stale: false,
+    apis: apis,
+    missingApis: Object.keys(apis).filter((name) => !apis[name]),
+  };
+}
+
+module.exports = {
+  detectNodeApis,
+  collectRuntimeProbe,
+};
@@ -0,0 +1,31 @@
+/**
+ * Shared Secret Comparison
+ *
+ * The routes that change state (/api/revalidate, the tag revalidation server
+ * actions, the destructive /api/chaos actions) are protected by a secret from
+ * an env var. They all compare the submitted value here.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * secretMatches - Compares a submitted secret with the expected one
+ *
+ * Both sides are hashed first, so timingSafeEqual gets equal lengths and the
+ * comparison takes the same time whatever the submitted value.
+ *
+ * @param {*} secret - The submitted value, anything but a string never matches
+ * @param {string} [expected] - The configured secret
+ * @returns {boolean} True if a secret is configured and matches
+ */
+function secretMatches(secret, expected) {
+  if (!expected || typeof secret !== 'string') {
+    return false;
+  }
+  const hash = (value) => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(hash(secret), hash(expected));
+}
+
+module.exports = {
+  secretMatches,
+};
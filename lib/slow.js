@@ -0,0 +1,52 @@
+/**
+ * Slow Response Helper
+ *
+ * Backs the slow endpoints (/slow in hello.js, /api/slow in the Next.js app).
+ * A request to them stays in flight for a chosen time, which is how you prove
+ * that in-flight requests survive a rolling deploy or a SIGTERM.
+ */
+
+const { getHostname } = require('./probe');
+
+const DEFAULT_SLOW_MS = 5000;
+const MAX_SLOW_MS = 5 * 60 * 1000;
+
+/**
+ * parseDelayMs - Reads the requested delay, clamped to 0..MAX_SLOW_MS
+ *
+ * @param {string|null} [value] - The ?ms= query value
+ * @returns {number} The delay in milliseconds (DEFAULT_SLOW_MS if missing or invalid)
+ */
+function parseDelayMs(value) {
+  const ms = Number(value);
+  if (value === undefined || value === null || value === '' || !Number.isFinite(ms)) {
+    return DEFAULT_SLOW_MS;
+  }
+  return Math.min(Math.max(ms, 0), MAX_SLOW_MS);
+}
+
+/**
+ * respondSlowly - Waits for the delay, then describes what happened
+ *
+ * @param {number} delayMs - How long to wait
+ * @returns {Promise<object>} { requestedMs, startedAt, finishedAt, hostname, pid }
+ */
+async function respondSlowly(delayMs) {
+  const startedAt = new Date().toISOString();
+  await new Promise((resolve) => setTimeout(resolve, delayMs));
+
+  return {
+    requestedMs: delayMs,
+    startedAt: startedAt,
+    finishedAt: new Date().toISOString(),
+    hostname: getHostname(),
+    pid: process.pid,
+  };
+}
+
+module.exports = {
+  DEFAULT_SLOW_MS,
+  MAX_SLOW_MS,
+  parseDelayMs,
+  respondSlowly,
+};
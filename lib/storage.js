@@ -0,0 +1,215 @@
+/**
+ * Filesystem and ISR Cache Diagnostics
+ *
+ * ISR writes every regenerated page back to disk. On a read-only root
+ * filesystem that write fails: Next.js only logs "Failed to update prerender
+ * cache" and keeps the new version in memory, so each replica serves its own
+ * copy and a restart brings back the page from the build.
+ *
+ * WHERE NEXT.JS KEEPS THE ISR CACHE (no custom cacheHandler configured):
+ * - .next/server/pages  Pages Router output (<path>.html and <path>.json)
+ * - .next/server/app    App Router output (<path>.html and <path>.rsc)
+ * - .next/cache/fetch-cache  App Router fetch() data cache
+ *
+ * getStorageReport() tests writes to these directories, /tmp and the working
+ * directory, reports free space, and lists the cached ISR pages.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// next.config.js does not set distDir, so this is the Next.js default
+const DIST_DIR = path.join(process.cwd(), '.next');
+
+const ISR_CACHE_DIRS = {
+  pages: path.join(DIST_DIR, 'server', 'pages'),
+  app: path.join(DIST_DIR, 'server', 'app'),
+  fetch: path.join(DIST_DIR, 'cache', 'fetch-cache'),
+};
+
+// Cache entries listed in the report, newest first
+const MAX_LISTED_ENTRIES = 100;
+
+/**
+ * testWrite - Checks that a file can be created and removed in a directory
+ *
+ * @param {string} dir - The directory to test
+ * @returns {Promise<object>} { path, exists, writable, error, freeBytes, totalBytes }
+ */
+async function testWrite(dir) {
+  const result = { path: dir, exists: false, writable: false, error: null, freeBytes: null, totalBytes: null };
+
+  try {
+    await fs.promises.access(dir);
+    result.exists = true;
+  } catch (err) {
+    result.error = `${err.code}: directory does not exist`;
+    return result;
+  }
+
+  const file = path.join(dir, `.probe-write-test-${process.pid}-${Date.now()}`);
+  try {
+    await fs.promises.writeFile(file, 'probe');
+    await fs.promises.unlink(file);
+    result.writable = true;
+  } catch (err) {
+    result.error = `${err.code}: ${err.message}`;
+  }
+
+  try {
+    const stats = await fs.promises.statfs(dir);
+    result.freeBytes = stats.bavail * stats.bsize;
+    result.totalBytes = stats.blocks * stats.bsize;
+  } catch (err) {
+    // statfs is not supported everywhere; free space is reported as unknown
+  }
+
+  return result;
+}
+
+/**
+ * Lists the .html files under a directory, recursively.
+ */
+async function findHtmlFiles(dir) {
+  let entries;
+  try {
+    entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  } catch (err) {
+    return [];
+  }
+
+  const files = [];
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...(await findHtmlFiles(fullPath)));
+    } else if (entry.name.endsWith('.html')) {
+      files.push(fullPath);
+    }
+  }
+  return files;
+}
+
+/**
+ * Reads .next/prerender-manifest.json, or null before the first build.
+ */
+async function readPrerenderManifest() {
+  try {
+    return JSON.parse(await fs.promises.readFile(path.join(DIST_DIR, 'prerender-manifest.json'), 'utf8'));
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * listCacheEntries - Finds the ISR pages stored on disk
+ *
+ * A page counts as an ISR entry when the build prerendered it with a
+ * revalidate window, or when it matches a dynamic route (pages generated at
+ * runtime, e.g. /isr/<slug>). An entry modified after the build has been
+ * regenerated and persisted by this deployment.
+ *
+ * @returns {Promise<object>} { buildTime, entries: [{ route, file, modifiedAt, revalidateSeconds, regenerated }] }
+ */
+async function listCacheEntries() {
+  const manifest = await readPrerenderManifest();
+  if (!manifest) {
+    return { buildTime: null, entries: [] };
+  }
+
+  // The manifest is written at the end of `next build`
+  const buildTime = (await fs.promises.stat(path.join(DIST_DIR, 'prerender-manifest.json'))).mtimeMs;
+  const dynamicRoutes = Object.values(manifest.dynamicRoutes).map((route) => new RegExp(route.routeRegex));
+
+  const entries = [];
+  for (const dir of [ISR_CACHE_DIRS.pages, ISR_CACHE_DIRS.app]) {
+    for (const file of await findHtmlFiles(dir)) {
+      const relative = path.relative(dir, file).split(path.sep).join('/').replace(/\.html$/, '');
+      const route = relative === 'index' ? '/' : `/${relative}`;
+      // Skip the fallback shells of `fallback: true` routes, e.g. /isr/fallback/[slug]
+      if (route.includes('[')) {
+        continue;
+      }
+
+      const prerendered = manifest.routes[route];
+
+      const isISR = prerendered
+        ? typeof prerendered.initialRevalidateSeconds === 'number'
+        : dynamicRoutes.some((pattern) => pattern.test(route));
+      if (!isISR) {
+        continue;
+      }
+
+      const modifiedAt = (await fs.promises.stat(file)).mtimeMs;
+      entries.push({
+        route: route,
+        file: path.relative(process.cwd(), file),
+        modifiedAt: new Date(modifiedAt).toISOString(),
+        // Pages first generated at runtime have no build-time revalidate value
+        revalidateSeconds: prerendered ? prerendered.initialRevalidateSeconds : null,
+        regenerated: modifiedAt > buildTime,
+      });
+    }
+  }
+
+  entries.sort((a, b) => b.modifiedAt.localeCompare(a.modifiedAt));
+  return { buildTime: new Date(buildTime).toISOString(), entries: entries };
+}
+
+/**
+ * getStorageReport - Tests filesystem writability and inspects the ISR cache
+ *
+ * @returns {Promise<object>} { writeTests, isrCache: { dirs, writable, buildTime,
+ *   entryCount, regeneratedCount, entries }, warnings }
+ */
+async function getStorageReport() {
+  const dirs = {
+    isrPages: ISR_CACHE_DIRS.pages,
+    isrApp: ISR_CACHE_DIRS.app,
+    nextCache: path.join(DIST_DIR, 'cache'),
+    tmp: os.tmpdir(),
+    cwd: process.cwd(),
+  };
+
+  const writeTests = {};
+  for (const [name, dir] of Object.entries(dirs)) {
+    writeTests[name] = await testWrite(dir);
+  }
+
+  const { buildTime, entries } = await listCacheEntries();
+  const writable = writeTests.isrPages.writable && writeTests.isrApp.writable;
+
+  const warnings = [];
+  for (const [name, test] of Object.entries(writeTests)) {
+    if (!test.writable) {
+      warnings.push(`${name} (${test.path}) is not writable: ${test.error}`);
+    }
+  }
+  if (!writable) {
+    warnings.push('Regenerated ISR pages cannot be saved: each replica keeps its own copy in memory, and a restart serves the build-time version again.');
+  }
+  if (!buildTime) {
+    warnings.push(`No prerender manifest in ${DIST_DIR}: the app has not been built here, or distDir is different.`);
+  }
+
+  return {
+    writeTests: writeTests,
+    isrCache: {
+      dirs: ISR_CACHE_DIRS,
+      writable: writable,
+      buildTime: buildTime,
+      entryCount: entries.length,
+      regeneratedCount: entries.filter((entry) => entry.regenerated).length,
+      entries: entries.slice(0, MAX_LISTED_ENTRIES),
+    },
+    warnings: warnings,
+  };
+}
+
+module.exports = {
+  ISR_CACHE_DIRS,
+  testWrite,
+  listCacheEntries,
+  getStorageReport,
+};
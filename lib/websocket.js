@@ -0,0 +1,132 @@
+/**
+ * WebSocket Probe Server
+ *
+ * Attaches a WebSocket endpoint to an existing http.Server, so it shares the
+ * port (and the platform's routing) with the HTTP probe:
+ * - server.js exposes it at /ws next to the Next.js app
+ * - hello.js exposes it at /ws on the plain Node.js baseline
+ *
+ * PROTOCOL (JSON text messages):
+ * - On connect the server sends  { type: 'hello', hostname, pid, connectedAt }
+ * - Client { type: 'ping', id, clientSentAt }  ->  server { type: 'pong', id, clientSentAt, serverTime, hostname }
+ * - Any other message is echoed back as { type: 'echo', data }
+ * - ?heartbeat=MS makes the server send { type: 'heartbeat', serverTime } every
+ *   MS milliseconds. It is off by default, so an idle socket really is idle and
+ *   platform idle timeouts can be measured.
+ *
+ * WHY THIS IS IMPORTANT FOR YOUR PAAS:
+ * - Proxies must pass the HTTP Upgrade handshake through to the app
+ * - Many load balancers cut idle connections after a fixed timeout
+ */
+
+const { WebSocketServer } = require('ws');
+const { getHostname } = require('./probe');
+const { logEvent } = require('./log');
+
+const MIN_HEARTBEAT_MS = 1000;
+
+// Close code for "going away", sent to clients when the server shuts down
+const CLOSE_GOING_AWAY = 1001;
+
+/**
+ * attachWebSocketProbe - Serves the WebSocket probe on the given path
+ *
+ * @param {http.Server} server - The server whose upgrade requests to handle
+ * @param {string} path - The URL path to accept upgrades on, e.g. '/ws'
+ * @returns {object} { closeAll } - closeAll() disconnects every client
+ */
+function attachWebSocketProbe(server, path) {
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', (req, socket, head) => {
+    // Same parse as the HTTP routes in hello.js: a malformed target
+    // (e.g. "//a:b:c") throws, and there is no response object to send a 400 on
+    let url;
+    try {
+      url = new URL(req.url, 'http://localhost');
+    } catch (err) {
+      socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\nContent-Length: 0\r\n\r\n', () => socket.destroy());
+      return;
+    }
+    if (url.pathname !== path) {
+      // Leave other upgrade requests to other listeners, if there are any
+      if (server.listenerCount('upgrade') === 1) {
+        socket.destroy();
+      }
+      return;
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      wss.emit('connection', ws, req, url);
+    });
+  });
+
+  wss.on('connection', (ws, req, url) => {
+    const connectedAt = new Date();
+    const heartbeatMs = Number(url.searchParams.get('heartbeat')) || 0;
+    let heartbeat = null;
+
+    function send(message) {
+      ws.send(JSON.stringify(message));
+    }
+
+    send({ type: 'hello', hostname: getHostname(), pid: process.pid, connectedAt: connectedAt.toISOString() });
+    logEvent('websocket', { phase: 'connected', remoteAddress: req.socket.remoteAddress });
+
+    if (heartbeatMs > 0) {
+      heartbeat = setInterval(() => {
+        send({ type: 'heartbeat', serverTime: new Date().toISOString() });
+      }, Math.max(heartbeatMs, MIN_HEARTBEAT_MS));
+    }
+
+    ws.on('message', (raw) => {
+      let message;
+      try {
+        message = JSON.parse(raw.toString());
+      } catch (err) {
+        message = null;
+      }
+
+      if (message && message.type === 'ping') {
+        send({
+          type: 'pong',
+          id: message.id,
+          clientSentAt: message.clientSentAt,
+          serverTime: new Date().toISOString(),
+          hostname: getHostname(),
+        });
+      } else {
+        send({ type: 'echo', data: message || raw.toString() });
+      }
+    });
+
+    // Protocol errors (e.g. an unmasked client frame) are emitted here, and
+    // an 'error' event without a listener would crash the process
+    ws.on('error', (err) => {
+      logEvent('websocket', { phase: 'error', code: err.code || null, message: err.message });
+      ws.terminate();
+    });
+
+    ws.on('close', (code, reason) => {
+      clearInterval(heartbeat);
+      logEvent('websocket', {
+        phase: 'closed',
+        code: code,
+        reason: reason.toString(),
+        lifetimeMs: Date.now() - connectedAt.getTime(),
+      });
+    });
+  });
+
+  return {
+    closeAll() {
+      for (const client of wss.clients) {
+        client.close(CLOSE_GOING_AWAY, 'Server shutting down');
+      }
+    },
+  };
+}
+
+module.exports = {
+  attachWebSocketProbe,
+};
@@ -0,0 +1,69 @@
+/**
+ * Middleware Probe
+ *
+ * Next.js middleware runs before every matched request, on the edge runtime.
+ * This one does several observable things, so /diagnostics/middleware can
+ * report which of them actually happened on the platform:
+ *
+ * - Adds x-probe-hostname, x-probe-middleware-at and Server-Timing response headers
+ * - Passes an x-probe-middleware request header on to pages and API routes
+ * - Sets the probe-middleware cookie, on /diagnostics/* only so cached pages
+ *   (ISR, static) never carry a Set-Cookie
+ * - Rewrites /middleware/rewrite to /ssr (the URL in the browser stays the same)
+ * - Redirects /middleware/redirect to /diagnostics/middleware?via=redirect
+ *
+ * The header, cookie and path names live in lib/middleware-probe.js.
+ *
+ * WHY THIS IS IMPORTANT FOR YOUR PAAS:
+ * - Middleware is bundled and executed separately from pages; a platform can
+ *   serve the pages fine while silently skipping it
+ */
+
+import { NextResponse } from 'next/server';
+import {
+  HOSTNAME_HEADER,
+  RAN_AT_HEADER,
+  MIDDLEWARE_COOKIE,
+  COOKIE_PATH_PREFIX,
+  REQUEST_HEADER,
+  REWRITE_PATH,
+  REWRITE_TARGET,
+  REDIRECT_PATH,
+  REDIRECT_TARGET,
+} from './lib/middleware-probe';
+
+export function middleware(request) {
+  const startedAt = Date.now();
+  const ranAt = new Date(startedAt).toISOString();
+  const { pathname } = request.nextUrl;
+
+  if (pathname === REDIRECT_PATH) {
+    return NextResponse.redirect(new URL(REDIRECT_TARGET, request.url));
+  }
+
+  // Let pages see that middleware ran on this very request
+  const requestHeaders = new Headers(request.headers);
+  requestHeaders.set(REQUEST_HEADER, ranAt);
+
+  let response;
+  if (pathname === REWRITE_PATH) {
+    response = NextResponse.rewrite(new URL(REWRITE_TARGET, request.url), { request: { headers: requestHeaders } });
+  } else {
+    response = NextResponse.next({ request: { headers: requestHeaders } });
+  }
+
+  // process.env.HOSTNAME may be missing on the edge runtime - that is worth seeing too
+  response.headers.set(HOSTNAME_HEADER, process.env.HOSTNAME || 'unavailable');
+  response.headers.set(RAN_AT_HEADER, ranAt);
+  response.headers.set('Server-Timing', `middleware;dur=${Date.now() - startedAt}`);
+  if (pathname.startsWith(COOKIE_PATH_PREFIX)) {
+    response.cookies.set(MIDDLEWARE_COOKIE, ranAt, { path: '/', sameSite: 'lax' });
+  }
+
+  return response;
+}
+
+export const config = {
+  // Skip static assets; everything else, including API routes, goes through middleware
+  matcher: ['/((?!_next/static|_next/image|favicon.ico).*)'],
+};
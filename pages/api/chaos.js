@@ -0,0 +1,98 @@
+/**
+ * Fault Injection (Chaos) API
+ *
+ * Makes this replica misbehave on request, to test how the platform copes
+ * with a bad app. Disabled (HTTP 403) unless CHAOS_ENABLED=true.
+ *
+ * USAGE:
+ *   GET  /api/chaos?action=delay&ms=30000       Respond after a delay (proxy timeouts)
+ *   GET  /api/chaos?action=status&code=503      Respond with a chosen status code
+ *   POST /api/chaos?action=leak&mb=256          Leak memory, up to CHAOS_MAX_LEAK_MB (OOM kills)
+ *   POST /api/chaos?action=release              Free the leaked memory
+ *   POST /api/chaos?action=burn&ms=10000        Burn CPU and block the event loop
+ *   POST /api/chaos?action=crash&mode=exit      Crash the process (mode: exit, abort or exception)
+ *   GET  /api/chaos                             Show the current state
+ *
+ * To throw inside getServerSideProps, open /chaos?throw=1.
+ * The actions that change the process need POST, so a crawler or a link
+ * preview cannot trigger them, and the shared secret from CHAOS_SECRET in
+ * the x-chaos-secret header, so an anonymous visitor cannot either. They are
+ * refused while CHAOS_SECRET is unset.
+ */
+
+import { parseDelayMs, respondSlowly } from '../../lib/slow';
+import {
+  ENABLED_ENV_VAR,
+  SECRET_ENV_VAR,
+  CRASH_MODES,
+  isChaosEnabled,
+  isChaosSecretConfigured,
+  checkChaosSecret,
+  parseStatusCode,
+  leakMemory,
+  releaseMemory,
+  burnCpu,
+  crashProcess,
+  getChaosStatus,
+} from '../../lib/chaos';
+
+const POST_ONLY_ACTIONS = ['leak', 'release', 'burn', 'crash'];
+
+export default async function handler(req, res) {
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (!isChaosEnabled()) {
+    return res.status(403).json({ error: `Fault injection is disabled, set ${ENABLED_ENV_VAR}=true to enable it` });
+  }
+
+  const action = req.query.action;
+  if (!action) {
+    return res.status(200).json(getChaosStatus());
+  }
+  if (POST_ONLY_ACTIONS.includes(action) && req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return res.status(405).json({ error: `Method not allowed, use POST for action=${action}` });
+  }
+  if (POST_ONLY_ACTIONS.includes(action)) {
+    if (!isChaosSecretConfigured()) {
+      return res.status(403).json({ error: `${SECRET_ENV_VAR} is not configured on the server, action=${action} is disabled` });
+    }
+    if (!checkChaosSecret(req.headers['x-chaos-secret'])) {
+      return res.status(401).json({ error: 'Invalid chaos secret' });
+    }
+  }
+
+  switch (action) {
+    case 'delay':
+      return res.status(200).json(await respondSlowly(parseDelayMs(req.query.ms)));
+
+    case 'status': {
+      const code = parseStatusCode(req.query.code);
+      if (code === null) {
+        return res.status(400).json({ error: 'code must be a status code from 200 to 599' });
+      }
+      return res.status(code).json({ action: 'status', code: code, ...getChaosStatus() });
+    }
+
+    case 'leak':
+      return res.status(200).json({ action: 'leak', ...leakMemory(Number(req.query.mb)), ...getChaosStatus() });
+
+    case 'release':
+      return res.status(200).json({ action: 'release', ...releaseMemory(), ...getChaosStatus() });
+
+    case 'burn':
+      return res.status(200).json({ action: 'burn', ...burnCpu(req.query.ms), ...getChaosStatus() });
+
+    case 'crash': {
+      const mode = req.query.mode || 'exit';
+      if (!CRASH_MODES.includes(mode)) {
+        return res.status(400).json({ error: `mode must be one of ${CRASH_MODES.join(', ')}` });
+      }
+      res.status(202).json({ action: 'crash', mode: mode, ...getChaosStatus() });
+      return crashProcess(mode);
+    }
+
+    default:
+      return res.status(400).json({ error: `Unknown action "${action}"` });
+  }
+}
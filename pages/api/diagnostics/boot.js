@@ -0,0 +1,26 @@
+/**
+ * Boot Diagnostics API - How this process started and how slow its first requests were
+ *
+ * Returns the timing recorded by lib/boot.js for the process that answers:
+ * when it started, how long app.prepare() took, when each page first rendered
+ * and how long its getServerSideProps/getStaticProps took, and the latency
+ * of the first response per page path. Call it right after a
+ * scale-from-zero or a restart to measure the cold start.
+ *
+ * Example response:
+ *   { "hostname": "...", "processStartedAt": "...", "uptime": 12.3,
+ *     "nextPreparedAt": "...", "prepareDurationMs": 840, "readyAfterMs": 1210,
+ *     "firstRenders": { "/ssr": { "renderedAt": "...", "durationMs": 48.2 } },
+ *     "firstResponses": { "/ssr": { "respondedAt": "...", "durationMs": 312 } } }
+ */
+
+import { getHostname } from '../../../lib/probe';
+import { getBootInfo } from '../../../lib/boot';
+
+export default function handler(req, res) {
+  res.setHeader('Cache-Control', 'no-store');
+  res.status(200).json({
+    hostname: getHostname(),
+    ...getBootInfo(),
+  });
+}
@@ -0,0 +1,28 @@
+/**
+ * Resources Diagnostics API - What this replica can actually use
+ *
+ * Returns the getResourceReport() of the process that answers: cgroup CPU
+ * and memory limits, the host CPUs and load average, heap and RSS usage,
+ * event-loop lag and active handles, plus warnings when they don't add up.
+ *
+ * Example response:
+ *   { "hostname": "...",
+ *     "cgroup": { "version": 2, "cpu": { "quota": 50000, "period": 100000, "limitCores": 0.5 },
+ *                 "memory": { "limitBytes": 536870912, "usageBytes": 104857600 } },
+ *     "cpus": { "count": 8, ... }, "loadAverage": [0.4, 0.3, 0.2],
+ *     "memory": { "rssBytes": ..., "heapLimitBytes": ... },
+ *     "eventLoop": { "p50Ms": 0.1, "p99Ms": 4.2, ... },
+ *     "activeHandles": { "total": 5, "byType": { ... } },
+ *     "warnings": ["os.cpus() reports 8 CPUs but the container is limited to 0.5: ..."] }
+ */
+
+import { getHostname } from '../../../lib/probe';
+import { getResourceReport } from '../../../lib/resources';
+
+export default function handler(req, res) {
+  res.setHeader('Cache-Control', 'no-store');
+  res.status(200).json({
+    hostname: getHostname(),
+    ...getResourceReport(),
+  });
+}
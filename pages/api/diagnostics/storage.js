@@ -0,0 +1,20 @@
+/**
+ * Storage Diagnostics API - Can this replica persist ISR pages?
+ *
+ * Tests writes to the ISR cache directories, .next/cache, /tmp and the
+ * working directory, reports free space, and lists the ISR pages cached on
+ * disk with their timestamps (see lib/storage.js).
+ *
+ * Returns HTTP 200 either way; check `isrCache.writable` and `warnings`.
+ */
+
+import { getHostname } from '../../../lib/probe';
+import { getStorageReport } from '../../../lib/storage';
+
+export default async function handler(req, res) {
+  res.setHeader('Cache-Control', 'no-store');
+  res.status(200).json({
+    hostname: getHostname(),
+    ...(await getStorageReport()),
+  });
+}
@@ -0,0 +1,28 @@
+/**
+ * Prometheus Metrics API
+ *
+ * Serves the metrics from lib/metrics.js in the Prometheus text format:
+ * request counts and latency histograms for /, /ssr and /isr, the ISR
+ * regeneration count, the process start time and a build-info gauge.
+ * hello.js serves the same metric names at the same path.
+ *
+ * USAGE (prometheus.yml):
+ *   scrape_configs:
+ *     - job_name: nextjs-probe
+ *       metrics_path: /api/metrics
+ *       static_configs:
+ *         - targets: ['probe.example.com']
+ *
+ * Each replica only reports its own requests, so scrape the replicas
+ * individually (e.g. with Kubernetes service discovery), not through the
+ * load balancer.
+ */
+
+import { getNextVersion } from '../../lib/probe';
+import { CONTENT_TYPE, renderMetrics } from '../../lib/metrics';
+
+export default function handler(req, res) {
+  res.setHeader('Content-Type', CONTENT_TYPE);
+  res.setHeader('Cache-Control', 'no-store');
+  res.status(200).send(renderMetrics({ server: 'next', nextVersion: getNextVersion() }));
+}
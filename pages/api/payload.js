@@ -0,0 +1,111 @@
+/**
+ * Payload API - Large, compressible or incompressible, optionally chunked
+ *
+ * USAGE:
+ *   GET /api/payload?size=10mb&kind=text
+ *   GET /api/payload?size=10mb&kind=random&chunked=1&chunkSize=64kb&delayMs=10
+ *
+ * - size: body size, "512", "100kb" or "10mb" (default 1mb, max 50mb)
+ * - kind: 'text' (compressible, default) or 'random' (incompressible)
+ * - chunked=1: stream the body in chunkSize pieces without a Content-Length,
+ *   so it goes out with Transfer-Encoding: chunked
+ * - chunkSize: chunk size for chunked=1 (default 64kb, min 1kb)
+ * - delayMs: pause between chunks (0 - 1000), to keep the response open longer.
+ *   Chunked responses may take at most 60 seconds: a delay that would take
+ *   longer is rejected, and a client too slow to read in time is cut off.
+ *   On shutdown, server.js cuts open chunked responses off as well
+ *
+ * RESPONSE HEADERS (the body itself is the payload):
+ *   X-Payload-Bytes    Size of the uncompressed body
+ *   X-Payload-Sha256   SHA-256 of the uncompressed body
+ *   X-Payload-Kind     text or random
+ *   X-Payload-Chunked  true or false
+ *
+ * WHY THIS IS IMPORTANT FOR YOUR PAAS:
+ * - Proxies with a body size limit or a short timeout cut large responses off
+ * - A proxy that drops Content-Encoding leaves the client with gzip bytes it
+ *   never decodes, which the checksum catches
+ * - Some proxies and CDNs buffer or reject chunked responses
+ */
+
+import {
+  DEFAULT_PAYLOAD_BYTES,
+  DEFAULT_CHUNK_BYTES,
+  MIN_CHUNK_BYTES,
+  MAX_CHUNK_DELAY_MS,
+  MAX_STREAM_MS,
+  KINDS,
+  parseSize,
+  createPayload,
+} from '../../lib/payload';
+import { trackStream } from '../../lib/lifecycle';
+
+export default async function handler(req, res) {
+  const kind = req.query.kind || 'text';
+  if (!KINDS.includes(kind)) {
+    return res.status(400).json({ error: `kind must be one of ${KINDS.join(', ')}` });
+  }
+
+  const size = parseSize(req.query.size, DEFAULT_PAYLOAD_BYTES);
+  const chunked = req.query.chunked === '1';
+  const chunkSize = Math.max(parseSize(req.query.chunkSize, DEFAULT_CHUNK_BYTES), MIN_CHUNK_BYTES);
+  const delayMs = Math.min(Math.max(Number(req.query.delayMs) || 0, 0), MAX_CHUNK_DELAY_MS);
+
+  if (chunked && Math.ceil(size / chunkSize) * delayMs > MAX_STREAM_MS) {
+    return res.status(400).json({
+      error: `size / chunkSize * delayMs must stay under ${MAX_STREAM_MS / 1000} seconds`,
+    });
+  }
+
+  const { body, sha256 } = createPayload(kind, size);
+
+  res.setHeader('Content-Type', kind === 'text' ? 'text/plain; charset=utf-8' : 'application/octet-stream');
+  res.setHeader('Cache-Control', 'no-store');
+  res.setHeader('X-Payload-Bytes', String(size));
+  res.setHeader('X-Payload-Sha256', sha256);
+  res.setHeader('X-Payload-Kind', kind);
+  res.setHeader('X-Payload-Chunked', String(chunked));
+
+  if (!chunked) {
+    res.setHeader('Content-Length', String(size));
+    return res.status(200).end(body);
+  }
+
+  // A single 'drain' listener for the whole response: Next.js' compression
+  // wrapper never removes 'drain' listeners, so one per chunk would pile up.
+  // 'close' also wakes the loop when the client goes away mid-stream
+  let resume = null;
+  const wake = () => {
+    if (resume) {
+      resume();
+      resume = null;
+    }
+  };
+  res.on('drain', wake);
+  res.on('close', wake);
+
+  // A client reading too slowly would otherwise keep the body in memory
+  const deadline = setTimeout(() => res.destroy(), MAX_STREAM_MS);
+  // Cut off rather than ended, so the client does not take a partial body for a whole one
+  trackStream(res, () => res.destroy());
+
+  // Without a Content-Length, Node.js sends Transfer-Encoding: chunked
+  res.status(200);
+  for (let offset = 0; offset < size && !res.destroyed; offset += chunkSize) {
+    if (!res.write(body.subarray(offset, offset + chunkSize)) && !res.destroyed) {
+      await new Promise((resolve) => { resume = resolve; });
+    }
+    if (delayMs > 0 && !res.destroyed) {
+      await new Promise((resolve) => setTimeout(resolve, delayMs));
+    }
+  }
+  clearTimeout(deadline);
+  res.end();
+}
+
+// Payloads go up to 50 MB, far past the 4 MB response size Next.js warns about
+export const config = {
+  api: {
+    responseLimit: false,
+  },
+};
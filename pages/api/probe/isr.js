@@ -0,0 +1,32 @@
+/**
+ * ISR Probe API - JSON counterpart of pages/isr.js
+ *
+ * API routes cannot use getStaticProps, so this route does not cache
+ * anything itself: it returns the probe payload the /isr page was generated
+ * with (see getServedGeneration() in lib/regeneration.js), so its renderTime
+ * is the one the page shows.
+ *
+ * - cached: true, the payload comes from the generated page
+ * - stale: the revalidate window has expired, so the next /isr request gets
+ *   this version and triggers a regeneration. Calling this route does not
+ *   regenerate the page.
+ *
+ * Returns 404 until the page has been generated (in development, open /isr first).
+ */
+
+import { getServedGeneration } from '../../../lib/regeneration';
+import { getRevalidateSeconds } from '../../../lib/revalidate';
+
+export default function handler(req, res) {
+  // The payload changes whenever /isr regenerates, so keep proxies out of the way
+  res.setHeader('Cache-Control', 'no-store');
+
+  const generation = getServedGeneration('/isr');
+  if (!generation) {
+    return res.status(404).json({ error: 'The /isr page has not been generated yet, open /isr first' });
+  }
+
+  const { path, ...probe } = generation;
+  const stale = Date.now() - Date.parse(probe.renderTime) >= getRevalidateSeconds() * 1000;
+  return res.status(200).json({ ...probe, cached: true, stale: stale });
+}
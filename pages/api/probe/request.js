@@ -0,0 +1,29 @@
+/**
+ * Request Probe API - JSON counterpart of pages/diagnostics/request.js
+ *
+ * Reports the client IP, protocol, host, HTTP version and TLS status as the
+ * app sees them, and flags common proxy mistakes (see lib/request-info.js).
+ *
+ * Only the client knows what it connected to, so pass it in to also check
+ * that the protocol and host survived the proxy:
+ *   curl 'https://my-app.example.com/api/probe/request?expectProto=https&expectHost=my-app.example.com'
+ */
+
+import { getHostname } from '../../../lib/probe';
+import { inspectRequest, compareWithClient } from '../../../lib/request-info';
+
+export default function handler(req, res) {
+  const info = inspectRequest(req);
+  const mismatches = compareWithClient(info, {
+    protocol: req.query.expectProto,
+    host: req.query.expectHost,
+  });
+
+  // Every request goes through its own proxy hops, so never cache this
+  res.setHeader('Cache-Control', 'no-store');
+  res.status(200).json({
+    hostname: getHostname(),
+    ...info,
+    findings: [...mismatches, ...info.findings],
+  });
+}
@@ -0,0 +1,19 @@
+/**
+ * SSR Probe API - JSON counterpart of pages/ssr.js
+ *
+ * Returns the same data that getServerSideProps feeds to the SSR page, freshly
+ * collected on every request. Deployment checks can call this route instead
+ * of scraping the HTML.
+ *
+ * Example response:
+ *   { "schemaVersion": 1, "mode": "ssr", "renderTime": "...", "hostname": "...",
+ *     "uptime": 12.3, "nextVersion": "14.2.0", "cached": false, "stale": false }
+ */
+
+import { collectProbeData } from '../../../lib/probe';
+
+export default function handler(req, res) {
+  // Never let a proxy cache this response - it must reflect the current request
+  res.setHeader('Cache-Control', 'no-store');
+  res.status(200).json(collectProbeData('ssr'));
+}
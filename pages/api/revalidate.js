@@ -0,0 +1,97 @@
+/**
+ * On-Demand ISR Revalidation API
+ *
+ * Regenerates ISR pages immediately instead of waiting out their revalidate
+ * window, using Next.js's res.revalidate().
+ *
+ * USAGE:
+ *   POST /api/revalidate?path=/isr
+ *   Header: x-revalidate-secret: <REVALIDATE_SECRET>
+ *
+ * - The secret is only accepted in the header, so it stays out of access
+ *   and proxy logs
+ * - Pass ?path= several times (or a "paths" array in a JSON body) to
+ *   revalidate more than one page; defaults to /isr
+ *
+ * WHY THIS IS IMPORTANT FOR YOUR PAAS:
+ * - Tests that the platform supports on-demand revalidation, not only the
+ *   time-based kind
+ * - The route is protected by a shared secret read from REVALIDATE_SECRET,
+ *   so it is disabled unless that env var is set
+ *
+ * Each result reports the renderTime and hostname of the generation the
+ * call produced, or null when no generation newer than the call was
+ * recorded (e.g. the page does not record its generations).
+ */
+
+import { getLastRegeneration, revalidateOnDemand } from '../../lib/regeneration';
+import { secretMatches } from '../../lib/secret';
+
+const DEFAULT_PATHS = ['/isr'];
+
+/**
+ * Collects the requested paths from the query string or JSON body.
+ */
+function getRequestedPaths(req) {
+  const fromQuery = req.query.path ? [].concat(req.query.path) : [];
+  const fromBody = req.body && Array.isArray(req.body.paths) ? req.body.paths : [];
+  const paths = fromQuery.concat(fromBody);
+
+  return paths.length > 0 ? paths : DEFAULT_PATHS;
+}
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return res.status(405).json({ error: 'Method not allowed, use POST' });
+  }
+
+  const expectedSecret = process.env.REVALIDATE_SECRET;
+  if (!expectedSecret) {
+    return res.status(500).json({ error: 'REVALIDATE_SECRET is not configured on the server' });
+  }
+
+  if (!secretMatches(req.headers['x-revalidate-secret'], expectedSecret)) {
+    return res.status(401).json({ error: 'Invalid revalidation secret' });
+  }
+
+  const paths = getRequestedPaths(req);
+  const invalid = paths.filter((path) => typeof path !== 'string' || !path.startsWith('/'));
+  if (invalid.length > 0) {
+    return res.status(400).json({ error: 'Paths must start with "/"', invalid: invalid });
+  }
+
+  const results = [];
+  for (const path of paths) {
+    const startedAt = Date.now();
+    try {
+      // Regenerates the page now; resolves once the new version is stored
+      await revalidateOnDemand(res, path);
+      // Still the previous generation if this call did not record a new one
+      const last = getLastRegeneration(path);
+      const regeneration = last && Date.parse(last.renderTime) >= startedAt ? last : null;
+      results.push({
+        path: path,
+        revalidated: true,
+        durationMs: Date.now() - startedAt,
+        renderTime: regeneration ? regeneration.renderTime : null,
+        hostname: regeneration ? regeneration.hostname : null,
+      });
+    } catch (err) {
+      results.push({
+        path: path,
+        revalidated: false,
+        durationMs: Date.now() - startedAt,
+        error: err.message,
+      });
+    }
+  }
+
+  const ok = results.every((result) => result.revalidated);
+  res.setHeader('Cache-Control', 'no-store');
+  return res.status(ok ? 200 : 500).json({
+    revalidated: ok,
+    timestamp: new Date().toISOString(),
+    results: results,
+  });
+}
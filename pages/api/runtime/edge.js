@@ -0,0 +1,23 @@
+/**
+ * Edge Runtime Probe API
+ *
+ * Runs on the edge runtime (config.runtime = 'edge') and reports the same
+ * fields as /api/probe/ssr where the edge runtime can provide them, plus
+ * which Node.js APIs are missing. Compare with /api/runtime/node.
+ */
+
+import { collectRuntimeProbe } from '../../../lib/runtime-probe';
+
+export const config = {
+  runtime: 'edge',
+};
+
+export default function handler() {
+  return new Response(JSON.stringify(collectRuntimeProbe('edge')), {
+    status: 200,
+    headers: {
+      'Content-Type': 'application/json',
+      'Cache-Control': 'no-store',
+    },
+  });
+}
@@ -0,0 +1,14 @@
+/**
+ * Node.js Runtime Probe API
+ *
+ * The Node.js counterpart of /api/runtime/edge: the same payload and API
+ * checks, collected on the default Node.js runtime, so the two can be
+ * compared field by field.
+ */
+
+import { collectRuntimeProbe } from '../../../lib/runtime-probe';
+
+export default function handler(req, res) {
+  res.setHeader('Cache-Control', 'no-store');
+  res.status(200).json(collectRuntimeProbe('nodejs'));
+}
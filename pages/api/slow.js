@@ -0,0 +1,18 @@
+/**
+ * Slow Response API
+ *
+ * Responds after a configurable delay: GET /api/slow?ms=5000
+ *
+ * Start a slow request, then send SIGTERM to the server (or roll out a new
+ * deploy). With graceful shutdown working, the request still completes.
+ * The delay is clamped to 5 minutes (see lib/slow.js).
+ */
+
+import { parseDelayMs, respondSlowly } from '../../lib/slow';
+
+export default async function handler(req, res) {
+  const payload = await respondSlowly(parseDelayMs(req.query.ms));
+
+  res.setHeader('Cache-Control', 'no-store');
+  res.status(200).json(payload);
+}
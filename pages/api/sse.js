@@ -0,0 +1,88 @@
+/**
+ * Server-Sent Events (SSE) Streaming API
+ *
+ * Emits a timestamped "tick" event at a fixed interval over one long-lived
+ * response: GET /api/sse?interval=1000&count=0
+ *
+ * - interval: milliseconds between events (100 - 60000, default 1000)
+ * - count: stop after this many events (default 0 = until the client leaves)
+ * - noBuffering=1: send "X-Accel-Buffering: no", the hint nginx-style proxies
+ *   honour to disable buffering, to see whether it fixes a buffered result
+ *
+ * WHY THIS IS IMPORTANT FOR YOUR PAAS:
+ * - A proxy that buffers responses delivers these events in bursts (or only
+ *   when the stream ends) instead of one per interval
+ * - Each event carries its server send time, so /sse can measure the delay
+ *
+ * On shutdown, server.js ends open streams (see trackStream() in
+ * lib/lifecycle.js) and EventSource reconnects, ideally to another replica.
+ */
+
+import { getHostname } from '../../lib/probe';
+import { trackStream } from '../../lib/lifecycle';
+
+const DEFAULT_INTERVAL_MS = 1000;
+const MIN_INTERVAL_MS = 100;
+const MAX_INTERVAL_MS = 60000;
+
+/**
+ * Reads a numeric query value, clamped to the given range.
+ */
+function readNumber(value, fallback, min, max) {
+  const number = Number(value);
+  if (value === undefined || !Number.isFinite(number)) {
+    return fallback;
+  }
+  return Math.min(Math.max(number, min), max);
+}
+
+export default function handler(req, res) {
+  const intervalMs = readNumber(req.query.interval, DEFAULT_INTERVAL_MS, MIN_INTERVAL_MS, MAX_INTERVAL_MS);
+  const count = readNumber(req.query.count, 0, 0, Number.MAX_SAFE_INTEGER);
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    // no-transform also keeps Next.js's own gzip compression from buffering the stream
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    ...(req.query.noBuffering === '1' ? { 'X-Accel-Buffering': 'no' } : {}),
+  });
+  res.flushHeaders();
+  trackStream(res);
+
+  // Tell EventSource how long to wait before reconnecting
+  res.write(`retry: ${intervalMs}\n\n`);
+
+  let seq = 0;
+
+  function sendTick() {
+    seq++;
+    const sentAtMs = Date.now();
+    const data = {
+      seq: seq,
+      sentAt: new Date(sentAtMs).toISOString(),
+      sentAtMs: sentAtMs,
+      intervalMs: intervalMs,
+      hostname: getHostname(),
+    };
+    res.write(`id: ${seq}\nevent: tick\ndata: ${JSON.stringify(data)}\n\n`);
+
+    if (count > 0 && seq >= count) {
+      clearInterval(timer);
+      res.end();
+    }
+  }
+
+  const timer = setInterval(sendTick, intervalMs);
+  sendTick();
+
+  // Stop when the client disconnects, or the stream is ended on shutdown
+  res.on('close', () => clearInterval(timer));
+}
+
+// A long-running stream can pass the 4 MB response size limit Next.js warns about
+export const config = {
+  api: {
+    responseLimit: false,
+  },
+};
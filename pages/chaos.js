@@ -0,0 +1,250 @@
+/**
+ * Fault Injection (Chaos) Page
+ *
+ * Drives /api/chaos from the browser: slow responses, chosen status codes,
+ * memory leaks, CPU burns and crashes. Opening /chaos?throw=1 makes
+ * getServerSideProps throw, to see the platform's (and Next.js's) error page.
+ *
+ * WHY THIS IS IMPORTANT FOR YOUR PAAS:
+ * - Proves that proxy timeouts, restart policies and OOM kills behave as configured
+ * - Uses the app you already deploy, instead of a separate "bad app"
+ *
+ * Everything is disabled unless CHAOS_ENABLED=true, and the leak, burn and
+ * crash actions also need the CHAOS_SECRET typed in by hand (see lib/chaos.js).
+ */
+
+import { useState } from 'react';
+import Link from 'next/link';
+import { isChaosEnabled, getChaosStatus, MAX_BURN_MS } from '../lib/chaos';
+
+/**
+ * getServerSideProps - Reports the chaos state, or throws when asked to
+ *
+ * @param {object} context - The Next.js request context
+ * @returns {object} Props with the chaos state of the serving process
+ * @throws {Error} When chaos is enabled and ?throw=1 is set
+ */
+export async function getServerSideProps({ query }) {
+  if (isChaosEnabled() && query.throw === '1') {
+    throw new Error('Error thrown in getServerSideProps on request (/chaos?throw=1)');
+  }
+
+  return {
+    props: {
+      status: getChaosStatus(),
+      maxBurnMs: MAX_BURN_MS,
+    },
+  };
+}
+
+const inputStyle = {
+  width: '110px',
+  padding: '6px 8px',
+  border: '1px solid #d1d5db',
+  borderRadius: '4px',
+  fontFamily: 'monospace'
+};
+
+function ActionButton({ onClick, children, danger }) {
+  return (
+    <button onClick={onClick} style={{
+      padding: '6px 14px',
+      backgroundColor: danger ? '#dc2626' : '#374151',
+      color: 'white',
+      border: 'none',
+      borderRadius: '4px',
+      cursor: 'pointer',
+      fontWeight: '500'
+    }}>
+      {children}
+    </button>
+  );
+}
+
+function Control({ title, description, children }) {
+  return (
+    <div style={{ padding: '12px 0', borderBottom: '1px solid #f3f4f6' }}>
+      <div style={{ fontWeight: '600', color: '#111827' }}>{title}</div>
+      <div style={{ fontSize: '0.85rem', color: '#6b7280', margin: '2px 0 8px 0' }}>{description}</div>
+      <div style={{ display: 'flex', gap: '8px', alignItems: 'center', flexWrap: 'wrap' }}>{children}</div>
+    </div>
+  );
+}
+
+/**
+ * ChaosPage Component - Controls for every fault the API can inject
+ *
+ * @param {object} props - The props returned from getServerSideProps
+ * @param {object} props.status - getChaosStatus() of the serving process
+ * @param {number} props.maxBurnMs - The longest CPU burn the API allows
+ */
+export default function ChaosPage({ status, maxBurnMs }) {
+  const [delayMs, setDelayMs] = useState('30000');
+  const [statusCode, setStatusCode] = useState('503');
+  const [leakMb, setLeakMb] = useState('100');
+  const [burnMs, setBurnMs] = useState('5000');
+  const [secret, setSecret] = useState('');
+  const [log, setLog] = useState([]);
+
+  async function call(method, query) {
+    const startedAt = Date.now();
+    let entry;
+    try {
+      const response = await fetch(`/api/chaos?${new URLSearchParams(query)}`, {
+        method: method,
+        cache: 'no-store',
+        headers: method === 'POST' ? { 'x-chaos-secret': secret } : {},
+      });
+      const text = await response.text();
+      entry = { query: query, status: response.status, body: text };
+    } catch (err) {
+      // Expected for crashes and for proxies that give up on slow responses
+      entry = { query: query, status: null, body: err.message };
+    }
+    setLog((previous) => [{ ...entry, durationMs: Date.now() - startedAt, at: new Date().toISOString() }, ...previous]);
+  }
+
+  function crash(mode) {
+    if (window.confirm(`This ends the process on ${status.hostname}. Continue?`)) {
+      call('POST', { action: 'crash', mode: mode });
+    }
+  }
+
+  return (
+    <div style={{
+      minHeight: '100vh',
+      display: 'flex',
+      flexDirection: 'column',
+      alignItems: 'center',
+      justifyContent: 'center',
+      backgroundColor: '#fef2f2',
+      fontFamily: 'system-ui, -apple-system, sans-serif',
+      padding: '20px'
+    }}>
+      {/* Header Section */}
+      <div style={{
+        backgroundColor: '#dc2626',
+        color: 'white',
+        padding: '16px 32px',
+        borderRadius: '8px',
+        marginBottom: '2rem'
+      }}>
+        <h1 style={{ margin: 0, fontSize: '2rem' }}>
+          Fault Injection
+        </h1>
+      </div>
+
+      {/* Main Content Card */}
+      <div style={{
+        backgroundColor: 'white',
+        padding: '40px',
+        borderRadius: '12px',
+        boxShadow: '0 4px 6px rgba(0,0,0,0.1)',
+        maxWidth: '700px',
+        width: '100%'
+      }}>
+        {!status.enabled ? (
+          <div style={{
+            backgroundColor: '#f3f4f6',
+            border: '2px solid #9ca3af',
+            borderRadius: '8px',
+            padding: '16px',
+            marginBottom: '24px',
+            color: '#374151'
+          }}>
+            🔒 Fault injection is <strong>disabled</strong> on {status.hostname}. Set <code>CHAOS_ENABLED=true</code> and
+            restart to enable it - never on an environment that serves real traffic.
+          </div>
+        ) : (
+          <>
+            <div style={{
+              backgroundColor: '#fee2e2',
+              border: '2px solid #dc2626',
+              borderRadius: '8px',
+              padding: '16px',
+              marginBottom: '16px',
+              color: '#991b1b'
+            }}>
+              ⚠️ Fault injection is <strong>enabled</strong> on {status.hostname} (pid {status.pid}).
+              Leaked: {status.leakedMb} MB of {status.maxLeakMb} MB max, RSS {status.rssMb} MB at render time.
+              Requests may land on another replica.
+            </div>
+
+            <Control
+              title="Secret"
+              description={status.secretConfigured
+                ? 'Leak, burn and crash need the CHAOS_SECRET configured on the server'
+                : 'CHAOS_SECRET is not set on the server, so leak, burn and crash are refused'}
+            >
+              <input
+                type="password"
+                placeholder="CHAOS_SECRET"
+                value={secret}
+                onChange={(event) => setSecret(event.target.value)}
+                style={{ ...inputStyle, width: '220px' }}
+              />
+            </Control>
+
+            <Control title="Slow response" description="Tests proxy and load balancer timeouts">
+              <input style={inputStyle} value={delayMs} onChange={(event) => setDelayMs(event.target.value)} /> ms
+              <ActionButton onClick={() => call('GET', { action: 'delay', ms: delayMs })}>Delay</ActionButton>
+            </Control>
+
+            <Control title="Status code" description="Tests how error responses are passed through or replaced">
+              <input style={inputStyle} value={statusCode} onChange={(event) => setStatusCode(event.target.value)} />
+              <ActionButton onClick={() => call('GET', { action: 'status', code: statusCode })}>Respond</ActionButton>
+            </Control>
+
+            <Control title="Throw in getServerSideProps" description="Shows the error page served for a crashing render">
+              <a href="/chaos?throw=1" style={{ color: '#dc2626', fontWeight: '600' }}>Open /chaos?throw=1 →</a>
+            </Control>
+
+            <Control title="Memory leak" description="Tests memory limits and OOM kills (the leak survives until release or restart)">
+              <input style={inputStyle} value={leakMb} onChange={(event) => setLeakMb(event.target.value)} /> MB
+              <ActionButton onClick={() => call('POST', { action: 'leak', mb: leakMb })}>Leak</ActionButton>
+              <ActionButton onClick={() => call('POST', { action: 'release' })}>Release</ActionButton>
+            </Control>
+
+            <Control title="CPU burn" description={`Blocks the event loop, health checks included (max ${maxBurnMs / 1000}s)`}>
+              <input style={inputStyle} value={burnMs} onChange={(event) => setBurnMs(event.target.value)} /> ms
+              <ActionButton onClick={() => call('POST', { action: 'burn', ms: burnMs })}>Burn</ActionButton>
+            </Control>
+
+            <Control title="Crash" description="Tests the restart policy. Next.js logs uncaught exceptions and keeps running, so that one shows whether the process survives">
+              <ActionButton danger onClick={() => crash('exit')}>process.exit(1)</ActionButton>
+              <ActionButton danger onClick={() => crash('abort')}>process.abort()</ActionButton>
+              <ActionButton danger onClick={() => crash('exception')}>Uncaught exception</ActionButton>
+            </Control>
+
+            <h3 style={{ fontSize: '1rem', color: '#333', margin: '24px 0 8px 0' }}>Results</h3>
+            {log.length === 0 && <p style={{ color: '#999', fontSize: '0.85rem' }}>No requests yet</p>}
+            <ul style={{ listStyle: 'none', padding: 0, margin: '0 0 24px 0', fontSize: '0.8rem', fontFamily: 'monospace' }}>
+              {log.map((entry, index) => (
+                <li key={index} style={{ padding: '8px 0', borderBottom: '1px solid #f3f4f6', wordBreak: 'break-all' }}>
+                  <strong>{entry.query.action}</strong> → {entry.status === null ? 'no response' : `HTTP ${entry.status}`} in {entry.durationMs}ms
+                  <div style={{ color: '#6b7280' }}>{entry.body}</div>
+                </li>
+              ))}
+            </ul>
+          </>
+        )}
+
+        {/* Navigation */}
+        <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap' }}>
+          <Link href="/" style={{
+            flex: '1',
+            padding: '12px 24px',
+            backgroundColor: '#6b7280',
+            color: 'white',
+            textDecoration: 'none',
+            borderRadius: '6px',
+            textAlign: 'center',
+            fontWeight: '500'
+          }}>
+            ← Back to Home
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+}
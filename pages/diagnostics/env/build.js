@@ -0,0 +1,118 @@
+/**
+ * Build-Time Environment Snapshot
+ *
+ * getStaticProps runs once during `next build` (there is no revalidate), so
+ * this page freezes the environment the build saw. /diagnostics/env reads
+ * the saved props back and compares them with the runtime environment.
+ *
+ * Secret-looking values are redacted BEFORE they are saved, because the
+ * props end up in the static HTML and JSON. The keyed digests used for the
+ * comparison go to a separate file that is never served (see lib/env.js).
+ */
+
+import Link from 'next/link';
+import { snapshotEnv, saveBuildDigests } from '../../../lib/env';
+
+/**
+ * getStaticProps - Captures the build environment
+ *
+ * @returns {object} Props with the redacted snapshot, never revalidated
+ */
+export async function getStaticProps() {
+  saveBuildDigests();
+
+  return {
+    props: {
+      env: snapshotEnv(),
+    },
+  };
+}
+
+/**
+ * EnvBuildPage Component - Lists the variables `next build` saw
+ *
+ * @param {object} props - The props returned from getStaticProps
+ * @param {object} props.env - The snapshotEnv() result from build time
+ */
+export default function EnvBuildPage({ env }) {
+  return (
+    <div style={{
+      minHeight: '100vh',
+      display: 'flex',
+      flexDirection: 'column',
+      alignItems: 'center',
+      justifyContent: 'center',
+      backgroundColor: '#f0fdfa',
+      fontFamily: 'system-ui, -apple-system, sans-serif',
+      padding: '20px'
+    }}>
+      {/* Header Section */}
+      <div style={{
+        backgroundColor: '#0d9488',
+        color: 'white',
+        padding: '16px 32px',
+        borderRadius: '8px',
+        marginBottom: '2rem'
+      }}>
+        <h1 style={{ margin: 0, fontSize: '2rem' }}>
+          Build-Time Environment
+        </h1>
+      </div>
+
+      {/* Main Content Card */}
+      <div style={{
+        backgroundColor: 'white',
+        padding: '40px',
+        borderRadius: '12px',
+        boxShadow: '0 4px 6px rgba(0,0,0,0.1)',
+        maxWidth: '800px',
+        width: '100%'
+      }}>
+        <p style={{ color: '#666', fontSize: '0.9rem', marginTop: 0 }}>
+          Captured by <code>next build</code> at <strong>{env.capturedAt}</strong>.
+        </p>
+
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.85rem', marginBottom: '24px' }}>
+          <tbody>
+            {Object.entries(env.variables).map(([name, variable]) => (
+              <tr key={name} style={{ borderBottom: '1px solid #f3f4f6' }}>
+                <td style={{ padding: '6px 12px 6px 0', fontFamily: 'monospace', fontWeight: '600', verticalAlign: 'top' }}>{name}</td>
+                <td style={{ padding: '6px 0', fontFamily: 'monospace', color: variable.redacted ? '#9ca3af' : '#111827', wordBreak: 'break-all' }}>
+                  {variable.value}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        {/* Navigation */}
+        <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap' }}>
+          <Link href="/" style={{
+            flex: '1',
+            padding: '12px 24px',
+            backgroundColor: '#6b7280',
+            color: 'white',
+            textDecoration: 'none',
+            borderRadius: '6px',
+            textAlign: 'center',
+            fontWeight: '500'
+          }}>
+            ← Back to Home
+          </Link>
+          <Link href="/diagnostics/env" style={{
+            flex: '1',
+            padding: '12px 24px',
+            backgroundColor: '#0d9488',
+            color: 'white',
+            textDecoration: 'none',
+            borderRadius: '6px',
+            textAlign: 'center',
+            fontWeight: '500'
+          }}>
+            Compare with Runtime →
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+}
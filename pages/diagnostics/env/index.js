@@ -0,0 +1,218 @@
+/**
+ * Environment Variable Diagnostics Page
+ *
+ * Compares the environment `next build` saw with the one the running server
+ * sees, and checks that the required variables are set.
+ *
+ * HOW IT WORKS:
+ * - /diagnostics/env/build captures the build environment with getStaticProps
+ * - This page reads that saved snapshot and the runtime environment in
+ *   getServerSideProps, and lines them up (see lib/env.js)
+ * - Required variables come from PROBE_REQUIRED_ENV (comma-separated, default HOSTNAME)
+ *
+ * WHY THIS IS IMPORTANT FOR YOUR PAAS:
+ * - Platforms often inject variables at runtime only, or only during the build step
+ * - NEXT_PUBLIC_* values are baked into the browser bundle, so runtime changes don't reach it
+ */
+
+import { useState } from 'react';
+import Link from 'next/link';
+import { getHostname } from '../../../lib/probe';
+import { snapshotEnv, readBuildSnapshot, compareEnv, REQUIRED_ENV_VAR } from '../../../lib/env';
+
+/**
+ * getServerSideProps - Reads the runtime environment and the build snapshot
+ *
+ * @returns {object} Props with one comparison row per variable
+ */
+export async function getServerSideProps() {
+  const runtime = snapshotEnv();
+  const build = readBuildSnapshot();
+
+  return {
+    props: {
+      hostname: getHostname(),
+      buildCapturedAt: build ? build.capturedAt : null,
+      runtimeCapturedAt: runtime.capturedAt,
+      required: runtime.required,
+      requiredEnvVar: REQUIRED_ENV_VAR,
+      rows: compareEnv(build, runtime),
+    },
+  };
+}
+
+const STATUS_STYLES = {
+  same: { label: 'same', color: '#065f46', backgroundColor: 'transparent' },
+  changed: { label: 'changed', color: '#92400e', backgroundColor: '#fef3c7' },
+  'build-only': { label: 'build only', color: '#92400e', backgroundColor: '#fef3c7' },
+  'runtime-only': { label: 'runtime only', color: '#92400e', backgroundColor: '#fef3c7' },
+  missing: { label: 'missing', color: '#991b1b', backgroundColor: '#fee2e2' },
+  unknown: { label: 'no build snapshot', color: '#6b7280', backgroundColor: 'transparent' },
+};
+
+function Cell({ children, muted }) {
+  return (
+    <td style={{
+      padding: '6px 8px',
+      fontFamily: 'monospace',
+      color: muted ? '#9ca3af' : '#111827',
+      wordBreak: 'break-all',
+      verticalAlign: 'top'
+    }}>
+      {children}
+    </td>
+  );
+}
+
+/**
+ * EnvPage Component - Shows required variables and build/runtime differences
+ *
+ * @param {object} props - The props returned from getServerSideProps
+ * @param {string} props.hostname - The container/pod that served the request
+ * @param {string|null} props.buildCapturedAt - When `next build` captured its snapshot
+ * @param {string} props.runtimeCapturedAt - When this request read the environment
+ * @param {Array<string>} props.required - The required variable names
+ * @param {string} props.requiredEnvVar - The variable that lists them
+ * @param {Array<object>} props.rows - The compareEnv() rows
+ */
+export default function EnvPage({ hostname, buildCapturedAt, runtimeCapturedAt, required, requiredEnvVar, rows }) {
+  const [differencesOnly, setDifferencesOnly] = useState(true);
+
+  const problems = rows.filter((row) => row.problem);
+  const visibleRows = differencesOnly
+    ? rows.filter((row) => (row.status !== 'same' && !row.expectedToDiffer) || row.problem || row.required)
+    : rows;
+
+  return (
+    <div style={{
+      minHeight: '100vh',
+      display: 'flex',
+      flexDirection: 'column',
+      alignItems: 'center',
+      justifyContent: 'center',
+      backgroundColor: '#f0fdfa',
+      fontFamily: 'system-ui, -apple-system, sans-serif',
+      padding: '20px'
+    }}>
+      {/* Header Section */}
+      <div style={{
+        backgroundColor: '#0d9488',
+        color: 'white',
+        padding: '16px 32px',
+        borderRadius: '8px',
+        marginBottom: '2rem'
+      }}>
+        <h1 style={{ margin: 0, fontSize: '2rem' }}>
+          Environment Variables
+        </h1>
+      </div>
+
+      {/* Main Content Card */}
+      <div style={{
+        backgroundColor: 'white',
+        padding: '40px',
+        borderRadius: '12px',
+        boxShadow: '0 4px 6px rgba(0,0,0,0.1)',
+        maxWidth: '900px',
+        width: '100%'
+      }}>
+        {!buildCapturedAt && (
+          <div style={{
+            backgroundColor: '#fef3c7',
+            border: '2px solid #f59e0b',
+            borderRadius: '8px',
+            padding: '12px 16px',
+            marginBottom: '24px',
+            color: '#92400e'
+          }}>
+            ⚠️ No build-time snapshot found. It is written by <code>next build</code>; in development there is none.
+          </div>
+        )}
+
+        <div style={{
+          backgroundColor: problems.length > 0 ? '#fee2e2' : '#d1fae5',
+          border: `2px solid ${problems.length > 0 ? '#ef4444' : '#10b981'}`,
+          borderRadius: '8px',
+          padding: '12px 16px',
+          marginBottom: '24px',
+          color: problems.length > 0 ? '#991b1b' : '#065f46'
+        }}>
+          {problems.length > 0 ? (
+            <>
+              <strong>❌ {problems.length} problem{problems.length === 1 ? '' : 's'}</strong>
+              <ul style={{ margin: '8px 0 0 0', paddingLeft: '20px', fontSize: '0.9rem' }}>
+                {problems.map((row) => <li key={row.name}><code>{row.name}</code>: {row.problem}</li>)}
+              </ul>
+            </>
+          ) : (
+            <strong>✅ All required variables are set and no NEXT_PUBLIC_ value changed since the build</strong>
+          )}
+        </div>
+
+        <p style={{ color: '#666', fontSize: '0.85rem', lineHeight: '1.6', marginTop: 0 }}>
+          Build snapshot: <strong>{buildCapturedAt || 'none'}</strong> (<Link href="/diagnostics/env/build">view</Link>)<br />
+          Runtime: <strong>{runtimeCapturedAt}</strong> on <strong>{hostname}</strong><br />
+          Required ({requiredEnvVar}): <code>{required.length > 0 ? required.join(', ') : '(none)'}</code>
+        </p>
+
+        <label style={{ display: 'block', fontSize: '0.9rem', color: '#333', margin: '16px 0' }}>
+          <input
+            type="checkbox"
+            checked={differencesOnly}
+            onChange={(event) => setDifferencesOnly(event.target.checked)}
+          />{' '}
+          Only show unexpected differences and required variables
+        </label>
+
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.85rem', marginBottom: '24px' }}>
+          <thead>
+            <tr style={{ textAlign: 'left', borderBottom: '2px solid #e5e7eb', color: '#4b5563' }}>
+              <th style={{ padding: '6px 8px' }}>Variable</th>
+              <th style={{ padding: '6px 8px' }}>Build</th>
+              <th style={{ padding: '6px 8px' }}>Runtime</th>
+              <th style={{ padding: '6px 8px' }}>Status</th>
+            </tr>
+          </thead>
+          <tbody>
+            {visibleRows.map((row) => {
+              const style = STATUS_STYLES[row.status];
+              return (
+                <tr key={row.name} style={{
+                  borderBottom: '1px solid #f3f4f6',
+                  backgroundColor: row.problem ? '#fee2e2' : row.expectedToDiffer ? 'transparent' : style.backgroundColor
+                }}>
+                  <Cell>{row.name}{row.required ? ' *' : ''}</Cell>
+                  <Cell muted={row.build === null}>{row.build === null ? '(not set)' : row.build}</Cell>
+                  <Cell muted={row.runtime === null}>{row.runtime === null ? '(not set)' : row.runtime}</Cell>
+                  <td style={{ padding: '6px 8px', color: style.color, whiteSpace: 'nowrap', verticalAlign: 'top' }}>
+                    {style.label}{row.expectedToDiffer && row.status !== 'same' ? ' (expected)' : ''}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+
+        <p style={{ color: '#999', fontSize: '0.8rem', marginTop: '-12px', marginBottom: '24px' }}>
+          * required. Secret-looking values are redacted; build and runtime values are compared by a keyed hash that never leaves the server.
+        </p>
+
+        {/* Navigation */}
+        <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap' }}>
+          <Link href="/" style={{
+            flex: '1',
+            padding: '12px 24px',
+            backgroundColor: '#6b7280',
+            color: 'white',
+            textDecoration: 'none',
+            borderRadius: '6px',
+            textAlign: 'center',
+            fontWeight: '500'
+          }}>
+            ← Back to Home
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+}
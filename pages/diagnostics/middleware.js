@@ -0,0 +1,207 @@
+/**
+ * Middleware Diagnostics Page
+ *
+ * Lists which behaviors of middleware.js actually happened, so a broken
+ * middleware deploy shows up right away:
+ *
+ * - Server-side (this request): did the x-probe-middleware request header
+ *   reach getServerSideProps? Was the page reached through the redirect?
+ * - Client-side (extra requests from the browser): are the response headers
+ *   and cookie present, does the rewrite serve /ssr, does the redirect land here?
+ */
+
+import { useEffect, useState } from 'react';
+import Link from 'next/link';
+import {
+  HOSTNAME_HEADER,
+  RAN_AT_HEADER,
+  MIDDLEWARE_COOKIE,
+  REQUEST_HEADER,
+  REWRITE_PATH,
+  REWRITE_TARGET,
+  REDIRECT_PATH,
+  REDIRECT_TARGET,
+} from '../../lib/middleware-probe';
+
+/**
+ * getServerSideProps - Reports what middleware did to THIS request
+ *
+ * @param {object} context - The Next.js request context
+ * @returns {object} Props describing the middleware's effect on the request
+ */
+export async function getServerSideProps({ req, query }) {
+  return {
+    props: {
+      middlewareRanAt: req.headers[REQUEST_HEADER] || null,
+      // Only present if an earlier response already set it
+      cookieFromRequest: req.cookies[MIDDLEWARE_COOKIE] || null,
+      viaRedirect: query.via === 'redirect',
+    },
+  };
+}
+
+/**
+ * Runs the checks that need extra requests from the browser.
+ */
+async function runClientChecks() {
+  const checks = {};
+
+  const self = await fetch(window.location.pathname, { cache: 'no-store' });
+  const hostname = self.headers.get(HOSTNAME_HEADER);
+  checks.headers = {
+    ok: Boolean(hostname && self.headers.get(RAN_AT_HEADER)),
+    detail: hostname
+      ? `${HOSTNAME_HEADER}: ${hostname}${hostname === 'unavailable' ? ' (HOSTNAME is not readable on the edge runtime)' : ''}`
+      : `${HOSTNAME_HEADER} header missing`,
+  };
+
+  const cookie = document.cookie.split('; ').find((entry) => entry.startsWith(`${MIDDLEWARE_COOKIE}=`));
+  checks.cookie = {
+    ok: Boolean(cookie),
+    detail: cookie ? decodeURIComponent(cookie) : `${MIDDLEWARE_COOKIE} cookie not set`,
+  };
+
+  const rewrite = await fetch(REWRITE_PATH, { cache: 'no-store' });
+  const rewriteBody = await rewrite.text();
+  const servedTarget = rewriteBody.includes(`"page":"${REWRITE_TARGET}"`);
+  checks.rewrite = {
+    ok: rewrite.ok && !rewrite.redirected && servedTarget,
+    detail: `HTTP ${rewrite.status}, ${servedTarget ? `served ${REWRITE_TARGET}` : `did not serve ${REWRITE_TARGET}`}${rewrite.redirected ? ', but was redirected' : ''}`,
+  };
+
+  const redirect = await fetch(REDIRECT_PATH, { cache: 'no-store' });
+  const landedOn = new URL(redirect.url).pathname + new URL(redirect.url).search;
+  checks.redirect = {
+    ok: redirect.redirected && landedOn === REDIRECT_TARGET,
+    detail: redirect.redirected ? `Landed on ${landedOn}` : `Not redirected (HTTP ${redirect.status})`,
+  };
+
+  return checks;
+}
+
+function CheckRow({ label, check }) {
+  const icon = check === undefined ? '⏳' : check.ok ? '✅' : '❌';
+
+  return (
+    <li style={{ padding: '10px 0', borderBottom: '1px solid #f3f4f6' }}>
+      <div style={{ fontWeight: '600', color: '#111827' }}>{icon} {label}</div>
+      {check && (
+        <div style={{ fontSize: '0.85rem', color: '#6b7280', fontFamily: 'monospace', marginTop: '4px', wordBreak: 'break-all' }}>
+          {check.detail}
+        </div>
+      )}
+    </li>
+  );
+}
+
+/**
+ * MiddlewarePage Component - Shows the result of every middleware check
+ *
+ * @param {object} props - The props returned from getServerSideProps
+ * @param {string|null} props.middlewareRanAt - When middleware ran for this request
+ * @param {string|null} props.cookieFromRequest - The middleware cookie sent with this request
+ * @param {boolean} props.viaRedirect - Whether this page was reached through the redirect
+ */
+export default function MiddlewarePage({ middlewareRanAt, cookieFromRequest, viaRedirect }) {
+  const [clientChecks, setClientChecks] = useState({});
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    runClientChecks().then(setClientChecks, (err) => setError(err.message));
+  }, []);
+
+  return (
+    <div style={{
+      minHeight: '100vh',
+      display: 'flex',
+      flexDirection: 'column',
+      alignItems: 'center',
+      justifyContent: 'center',
+      backgroundColor: '#fdf2f8',
+      fontFamily: 'system-ui, -apple-system, sans-serif',
+      padding: '20px'
+    }}>
+      {/* Header Section */}
+      <div style={{
+        backgroundColor: '#db2777',
+        color: 'white',
+        padding: '16px 32px',
+        borderRadius: '8px',
+        marginBottom: '2rem'
+      }}>
+        <h1 style={{ margin: 0, fontSize: '2rem' }}>
+          Middleware Diagnostics
+        </h1>
+      </div>
+
+      {/* Main Content Card */}
+      <div style={{
+        backgroundColor: 'white',
+        padding: '40px',
+        borderRadius: '12px',
+        boxShadow: '0 4px 6px rgba(0,0,0,0.1)',
+        maxWidth: '600px',
+        width: '100%'
+      }}>
+        {viaRedirect && (
+          <div style={{
+            backgroundColor: '#d1fae5',
+            border: '2px solid #10b981',
+            borderRadius: '8px',
+            padding: '12px 16px',
+            marginBottom: '24px',
+            color: '#065f46'
+          }}>
+            ✅ You reached this page through the middleware redirect from <code>{REDIRECT_PATH}</code>
+          </div>
+        )}
+
+        <h3 style={{ fontSize: '1rem', color: '#333', margin: '0 0 4px 0' }}>This Request (server-side)</h3>
+        <ul style={{ listStyle: 'none', padding: 0, margin: '0 0 24px 0' }}>
+          <CheckRow
+            label="Middleware ran before getServerSideProps"
+            check={{
+              ok: Boolean(middlewareRanAt),
+              detail: middlewareRanAt ? `${REQUEST_HEADER}: ${middlewareRanAt}` : `${REQUEST_HEADER} request header missing`,
+            }}
+          />
+          <CheckRow
+            label="Cookie sent back by the browser"
+            check={{
+              ok: Boolean(cookieFromRequest),
+              detail: cookieFromRequest || 'Not sent yet - normal on the first visit, reload to check',
+            }}
+          />
+        </ul>
+
+        <h3 style={{ fontSize: '1rem', color: '#333', margin: '0 0 4px 0' }}>Browser Checks</h3>
+        <ul style={{ listStyle: 'none', padding: 0, margin: '0 0 24px 0' }}>
+          <CheckRow label="Response headers injected" check={clientChecks.headers} />
+          <CheckRow label="Cookie set on the response" check={clientChecks.cookie} />
+          <CheckRow label={`Rewrite ${REWRITE_PATH} → ${REWRITE_TARGET}`} check={clientChecks.rewrite} />
+          <CheckRow label={`Redirect ${REDIRECT_PATH} → ${REDIRECT_TARGET}`} check={clientChecks.redirect} />
+        </ul>
+
+        {error && (
+          <p style={{ color: '#b91c1c', fontSize: '0.9rem' }}>❌ Browser checks failed: {error}</p>
+        )}
+
+        {/* Navigation */}
+        <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap' }}>
+          <Link href="/" style={{
+            flex: '1',
+            padding: '12px 24px',
+            backgroundColor: '#6b7280',
+            color: 'white',
+            textDecoration: 'none',
+            borderRadius: '6px',
+            textAlign: 'center',
+            fontWeight: '500'
+          }}>
+            ← Back to Home
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+}
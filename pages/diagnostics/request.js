@@ -0,0 +1,192 @@
+/**
+ * Request & Proxy Header Inspection Page
+ *
+ * Shows the incoming request the way getServerSideProps sees it: the
+ * effective client IP, X-Forwarded-For/-Proto/-Host, the Host header, HTTP
+ * version and TLS status.
+ *
+ * HOW IT WORKS:
+ * - getServerSideProps inspects `req` with lib/request-info.js and flags
+ *   mistakes it can detect on its own (missing headers, duplicate hops...)
+ * - In the browser, the page compares the protocol and host it was loaded
+ *   from with what the server saw - only the browser knows whether it used https
+ *
+ * WHY THIS IS IMPORTANT FOR YOUR PAAS:
+ * - A proxy that drops X-Forwarded-Proto makes https sites redirect to http://
+ * - A proxy that drops X-Forwarded-For makes every request come from the proxy,
+ *   breaking rate limiting, logging and geo lookups
+ */
+
+import { useEffect, useState } from 'react';
+import Link from 'next/link';
+import { getHostname } from '../../lib/probe';
+import { inspectRequest, compareWithClient } from '../../lib/request-info';
+
+/**
+ * getServerSideProps - Inspects THIS request
+ *
+ * @param {object} context - The Next.js request context
+ * @returns {object} Props with the request inspection and the serving hostname
+ */
+export async function getServerSideProps({ req }) {
+  return {
+    props: {
+      hostname: getHostname(),
+      info: inspectRequest(req),
+    },
+  };
+}
+
+const SEVERITY_STYLES = {
+  error: { icon: '❌', backgroundColor: '#fee2e2', borderColor: '#ef4444', color: '#991b1b' },
+  warning: { icon: '⚠️', backgroundColor: '#fef3c7', borderColor: '#f59e0b', color: '#92400e' },
+  info: { icon: 'ℹ️', backgroundColor: '#e0e7ff', borderColor: '#6366f1', color: '#3730a3' },
+};
+
+function Finding({ finding }) {
+  const style = SEVERITY_STYLES[finding.severity];
+
+  return (
+    <div style={{
+      backgroundColor: style.backgroundColor,
+      border: `2px solid ${style.borderColor}`,
+      borderRadius: '8px',
+      padding: '10px 14px',
+      marginBottom: '10px',
+      color: style.color,
+      fontSize: '0.9rem'
+    }}>
+      {style.icon} <strong>{finding.code}</strong>: {finding.message}
+    </div>
+  );
+}
+
+function Row({ label, value }) {
+  return (
+    <tr style={{ borderBottom: '1px solid #f3f4f6' }}>
+      <td style={{ padding: '8px 12px 8px 0', color: '#666', fontWeight: '600', whiteSpace: 'nowrap', verticalAlign: 'top' }}>{label}</td>
+      <td style={{ padding: '8px 0', fontFamily: 'monospace', color: '#111827', wordBreak: 'break-all' }}>{value}</td>
+    </tr>
+  );
+}
+
+/**
+ * Formats a list of header values, or "(not sent)".
+ */
+function formatList(values) {
+  return values.length > 0 ? values.join(', ') : '(not sent)';
+}
+
+/**
+ * RequestPage Component - Shows the request as the app sees it
+ *
+ * @param {object} props - The props returned from getServerSideProps
+ * @param {string} props.hostname - The container/pod that served the request
+ * @param {object} props.info - The result of inspectRequest
+ */
+export default function RequestPage({ hostname, info }) {
+  const [clientFindings, setClientFindings] = useState(null);
+
+  useEffect(() => {
+    setClientFindings(compareWithClient(info, {
+      protocol: window.location.protocol.replace(':', ''),
+      host: window.location.host,
+    }));
+  }, [info]);
+
+  const findings = [...(clientFindings || []), ...info.findings];
+
+  return (
+    <div style={{
+      minHeight: '100vh',
+      display: 'flex',
+      flexDirection: 'column',
+      alignItems: 'center',
+      justifyContent: 'center',
+      backgroundColor: '#eef2ff',
+      fontFamily: 'system-ui, -apple-system, sans-serif',
+      padding: '20px'
+    }}>
+      {/* Header Section */}
+      <div style={{
+        backgroundColor: '#4f46e5',
+        color: 'white',
+        padding: '16px 32px',
+        borderRadius: '8px',
+        marginBottom: '2rem'
+      }}>
+        <h1 style={{ margin: 0, fontSize: '2rem' }}>
+          Request &amp; Proxy Headers
+        </h1>
+      </div>
+
+      {/* Main Content Card */}
+      <div style={{
+        backgroundColor: 'white',
+        padding: '40px',
+        borderRadius: '12px',
+        boxShadow: '0 4px 6px rgba(0,0,0,0.1)',
+        maxWidth: '700px',
+        width: '100%'
+      }}>
+        <h3 style={{ fontSize: '1rem', color: '#333', margin: '0 0 12px 0' }}>Findings</h3>
+        {findings.length === 0 ? (
+          <p style={{ color: '#065f46', margin: '0 0 24px 0' }}>✅ No proxy mistakes detected</p>
+        ) : (
+          <div style={{ marginBottom: '24px' }}>
+            {findings.map((finding) => <Finding key={finding.code} finding={finding} />)}
+          </div>
+        )}
+        {clientFindings === null && (
+          <p style={{ color: '#999', fontSize: '0.85rem', marginTop: '-12px' }}>⏳ Comparing with the browser URL...</p>
+        )}
+
+        <h3 style={{ fontSize: '1rem', color: '#333', margin: '0 0 4px 0' }}>As Seen by the App</h3>
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.9rem', marginBottom: '24px' }}>
+          <tbody>
+            <Row label="Client IP" value={`${info.clientIp} (from ${info.clientIpSource})`} />
+            <Row label="Protocol" value={info.protocol} />
+            <Row label="Host" value={info.host} />
+            <Row label="HTTP version" value={info.httpVersion} />
+            <Row label="TLS on socket" value={info.tls ? 'yes' : 'no (terminated upstream, or plain http)'} />
+            <Row label="Served by" value={hostname} />
+          </tbody>
+        </table>
+
+        <h3 style={{ fontSize: '1rem', color: '#333', margin: '0 0 4px 0' }}>Raw Headers</h3>
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.9rem', marginBottom: '24px' }}>
+          <tbody>
+            <Row label="Socket address" value={info.remoteAddress} />
+            <Row label="Host" value={info.hostHeader || '(not sent)'} />
+            <Row label="X-Forwarded-For" value={formatList(info.forwardedFor)} />
+            <Row label="X-Forwarded-Proto" value={formatList(info.forwardedProto)} />
+            <Row label="X-Forwarded-Host" value={formatList(info.forwardedHost)} />
+            <Row label="X-Forwarded-Port" value={info.forwardedPort || '(not sent)'} />
+            <Row label="Forwarded" value={info.forwarded.length > 0 ? JSON.stringify(info.forwarded) : '(not sent)'} />
+            <Row label="X-Real-IP" value={info.realIp || '(not sent)'} />
+          </tbody>
+        </table>
+
+        <p style={{ color: '#666', fontSize: '0.85rem', lineHeight: '1.6', marginBottom: '24px' }}>
+          JSON version: <code>/api/probe/request?expectProto=https&amp;expectHost=your.domain</code>
+        </p>
+
+        {/* Navigation */}
+        <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap' }}>
+          <Link href="/" style={{
+            flex: '1',
+            padding: '12px 24px',
+            backgroundColor: '#6b7280',
+            color: 'white',
+            textDecoration: 'none',
+            borderRadius: '6px',
+            textAlign: 'center',
+            fontWeight: '500'
+          }}>
+            ← Back to Home
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+}
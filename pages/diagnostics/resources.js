@@ -0,0 +1,158 @@
+/**
+ * Container Resources & Process Health Page
+ *
+ * Shows the resources the serving replica actually gets from the platform,
+ * next to what the host machine has and what the process uses.
+ *
+ * HOW IT WORKS:
+ * - getServerSideProps reads the cgroup limits from /sys/fs/cgroup, os.cpus(),
+ *   the load average, process.memoryUsage() and the V8 heap limit
+ * - Event-loop lag is sampled continuously from boot (see lib/resources.js)
+ * - Active handles come from process.getActiveResourcesInfo()
+ *
+ * WHY THIS IS IMPORTANT FOR YOUR PAAS:
+ * - Confirms that the CPU and memory sizes you configured are really applied
+ * - Catches a V8 heap limit above the memory limit, which ends in OOM kills
+ * - os.cpus() and the load average describe the host, not your container
+ */
+
+import Link from 'next/link';
+import ResourceInfo, { formatBytes } from '../../components/ResourceInfo';
+import { getHostname } from '../../lib/probe';
+import { getResourceReport } from '../../lib/resources';
+
+/**
+ * getServerSideProps - Reads the resources of the process serving THIS request
+ *
+ * @returns {object} Props with the resource report and the serving hostname
+ */
+export async function getServerSideProps() {
+  return {
+    props: {
+      hostname: getHostname(),
+      resources: getResourceReport(),
+    },
+  };
+}
+
+function Row({ label, value }) {
+  return (
+    <tr style={{ borderBottom: '1px solid #f3f4f6' }}>
+      <td style={{ padding: '8px 12px 8px 0', color: '#666', fontWeight: '600', whiteSpace: 'nowrap', verticalAlign: 'top' }}>{label}</td>
+      <td style={{ padding: '8px 0', fontFamily: 'monospace', color: '#111827', wordBreak: 'break-all' }}>{value}</td>
+    </tr>
+  );
+}
+
+/**
+ * ResourcesPage Component - Shows limits, usage, event-loop lag and handles
+ *
+ * @param {object} props - The props returned from getServerSideProps
+ * @param {string} props.hostname - The container/pod that served the request
+ * @param {object} props.resources - The getResourceReport() result
+ */
+export default function ResourcesPage({ hostname, resources }) {
+  const { cgroup, cpus, loadAverage, memory, eventLoop, activeHandles } = resources;
+
+  return (
+    <div style={{
+      minHeight: '100vh',
+      display: 'flex',
+      flexDirection: 'column',
+      alignItems: 'center',
+      justifyContent: 'center',
+      backgroundColor: '#fff7ed',
+      fontFamily: 'system-ui, -apple-system, sans-serif',
+      padding: '20px'
+    }}>
+      {/* Header Section */}
+      <div style={{
+        backgroundColor: '#ea580c',
+        color: 'white',
+        padding: '16px 32px',
+        borderRadius: '8px',
+        marginBottom: '2rem'
+      }}>
+        <h1 style={{ margin: 0, fontSize: '2rem' }}>
+          Container Resources
+        </h1>
+      </div>
+
+      {/* Main Content Card */}
+      <div style={{
+        backgroundColor: 'white',
+        padding: '40px',
+        borderRadius: '12px',
+        boxShadow: '0 4px 6px rgba(0,0,0,0.1)',
+        maxWidth: '700px',
+        width: '100%'
+      }}>
+        <p style={{ color: '#666', fontSize: '0.9rem', marginTop: 0 }}>
+          Served by <strong>{hostname}</strong>. Refresh to see other replicas.
+        </p>
+
+        <ResourceInfo resources={resources} />
+
+        <h3 style={{ fontSize: '1rem', color: '#333', margin: '0 0 4px 0' }}>cgroup Limits</h3>
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.9rem', marginBottom: '24px' }}>
+          <tbody>
+            <Row label="cgroup version" value={cgroup.version !== null ? `v${cgroup.version}` : 'not found (not Linux, or /sys/fs/cgroup not mounted)'} />
+            <Row label="CPU quota / period" value={cgroup.cpu.quota !== null ? `${cgroup.cpu.quota}µs every ${cgroup.cpu.period}µs` : 'no quota'} />
+            <Row label="Memory limit" value={formatBytes(cgroup.memory.limitBytes)} />
+            <Row label="Memory usage" value={cgroup.memory.usageBytes !== null ? formatBytes(cgroup.memory.usageBytes) : '-'} />
+          </tbody>
+        </table>
+
+        <h3 style={{ fontSize: '1rem', color: '#333', margin: '0 0 4px 0' }}>Host (shared with other containers)</h3>
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.9rem', marginBottom: '24px' }}>
+          <tbody>
+            <Row label="os.cpus()" value={`${cpus.count} × ${cpus.model || 'unknown'}`} />
+            <Row label="availableParallelism" value={cpus.availableParallelism} />
+            <Row label="Load average" value={loadAverage.join(' / ')} />
+            <Row label="Memory" value={`${formatBytes(memory.hostFreeBytes)} free of ${formatBytes(memory.hostTotalBytes)}`} />
+          </tbody>
+        </table>
+
+        <h3 style={{ fontSize: '1rem', color: '#333', margin: '0 0 4px 0' }}>Process</h3>
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.9rem', marginBottom: '24px' }}>
+          <tbody>
+            <Row label="RSS" value={formatBytes(memory.rssBytes)} />
+            <Row label="Heap used / total" value={`${formatBytes(memory.heapUsedBytes)} / ${formatBytes(memory.heapTotalBytes)}`} />
+            <Row label="Heap limit" value={formatBytes(memory.heapLimitBytes)} />
+            <Row label="External" value={formatBytes(memory.externalBytes)} />
+            <Row
+              label="Event-loop lag"
+              value={eventLoop.p50Ms !== null
+                ? `mean ${eventLoop.meanMs}ms, p50 ${eventLoop.p50Ms}ms, p99 ${eventLoop.p99Ms}ms, max ${eventLoop.maxMs}ms (over ${eventLoop.sampledForSeconds}s)`
+                : 'no samples yet'}
+            />
+            <Row
+              label="Active handles"
+              value={Object.entries(activeHandles.byType).map(([type, count]) => `${type}: ${count}`).join(', ') || '(none)'}
+            />
+          </tbody>
+        </table>
+
+        <p style={{ color: '#666', fontSize: '0.85rem', lineHeight: '1.6', marginBottom: '24px' }}>
+          JSON version: <code>/api/diagnostics/resources</code>
+        </p>
+
+        {/* Navigation */}
+        <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap' }}>
+          <Link href="/" style={{
+            flex: '1',
+            padding: '12px 24px',
+            backgroundColor: '#6b7280',
+            color: 'white',
+            textDecoration: 'none',
+            borderRadius: '6px',
+            textAlign: 'center',
+            fontWeight: '500'
+          }}>
+            ← Back to Home
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+}
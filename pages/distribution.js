@@ -0,0 +1,208 @@
+/**
+ * Replica Distribution Test Page
+ *
+ * Sends many requests to /api/probe/ssr from the browser and groups the
+ * responses by hostname, drawing a live bar chart as they arrive.
+ *
+ * WHY THIS IS IMPORTANT FOR YOUR PAAS:
+ * - With multiple replicas, the hostname should vary between requests
+ * - This page shows HOW evenly the load balancer spreads traffic, instead of
+ *   judging it by refreshing the SSR page by hand
+ * - The same analysis is available as `npm run probe -- distribution <baseUrl>`
+ *
+ * NOTE: Browsers reuse connections (keep-alive), and some load balancers pin a
+ * connection to one replica. A skewed result here can be the connection, not
+ * the balancer - compare with the CLI, which does the same.
+ */
+
+import { useState } from 'react';
+import Link from 'next/link';
+import { runPool } from '../lib/pool';
+import { summarizeDistribution } from '../lib/distribution';
+
+const inputStyle = {
+  width: '100%',
+  padding: '8px 12px',
+  border: '1px solid #d1d5db',
+  borderRadius: '6px',
+  fontFamily: 'monospace',
+  boxSizing: 'border-box'
+};
+
+const labelStyle = {
+  display: 'block',
+  fontSize: '0.875rem',
+  fontWeight: '600',
+  color: '#4b5563',
+  marginBottom: '8px',
+  textTransform: 'uppercase',
+  letterSpacing: '0.05em'
+};
+
+/**
+ * DistributionPage Component - Runs the distribution test in the browser
+ */
+export default function DistributionPage() {
+  const [requests, setRequests] = useState(100);
+  const [concurrency, setConcurrency] = useState(5);
+  const [expected, setExpected] = useState('');
+  const [running, setRunning] = useState(false);
+  const [hostnames, setHostnames] = useState([]);
+  const [errors, setErrors] = useState(0);
+
+  async function runTest() {
+    setRunning(true);
+    setHostnames([]);
+    setErrors(0);
+
+    await runPool(Number(requests), Number(concurrency), async () => {
+      try {
+        const response = await fetch('/api/probe/ssr', { cache: 'no-store' });
+        const probe = await response.json();
+        // Append as each response arrives so the chart updates live
+        setHostnames((previous) => previous.concat(probe.hostname));
+      } catch (err) {
+        setErrors((previous) => previous + 1);
+      }
+    });
+
+    setRunning(false);
+  }
+
+  const distribution = summarizeDistribution(hostnames, Number(expected));
+  const done = hostnames.length + errors;
+
+  return (
+    <div style={{
+      minHeight: '100vh',
+      display: 'flex',
+      flexDirection: 'column',
+      alignItems: 'center',
+      justifyContent: 'center',
+      backgroundColor: '#f5f3ff',
+      fontFamily: 'system-ui, -apple-system, sans-serif',
+      padding: '20px'
+    }}>
+      {/* Header Section */}
+      <div style={{
+        backgroundColor: '#8b5cf6',
+        color: 'white',
+        padding: '16px 32px',
+        borderRadius: '8px',
+        marginBottom: '2rem'
+      }}>
+        <h1 style={{ margin: 0, fontSize: '2rem' }}>
+          Replica Distribution Test
+        </h1>
+      </div>
+
+      {/* Main Content Card */}
+      <div style={{
+        backgroundColor: 'white',
+        padding: '40px',
+        borderRadius: '12px',
+        boxShadow: '0 4px 6px rgba(0,0,0,0.1)',
+        maxWidth: '600px',
+        width: '100%'
+      }}>
+        {/* Test Settings */}
+        <div style={{ display: 'flex', gap: '12px', marginBottom: '24px' }}>
+          <div style={{ flex: '1' }}>
+            <label style={labelStyle}>Requests</label>
+            <input type="number" min="1" value={requests} onChange={(event) => setRequests(event.target.value)} style={inputStyle} />
+          </div>
+          <div style={{ flex: '1' }}>
+            <label style={labelStyle}>Concurrency</label>
+            <input type="number" min="1" value={concurrency} onChange={(event) => setConcurrency(event.target.value)} style={inputStyle} />
+          </div>
+          <div style={{ flex: '1' }}>
+            <label style={labelStyle}>Expected</label>
+            <input type="number" min="1" placeholder="replicas" value={expected} onChange={(event) => setExpected(event.target.value)} style={inputStyle} />
+          </div>
+        </div>
+
+        <button
+          onClick={runTest}
+          disabled={running}
+          style={{
+            width: '100%',
+            padding: '12px 24px',
+            backgroundColor: running ? '#a78bfa' : '#8b5cf6',
+            color: 'white',
+            border: 'none',
+            borderRadius: '6px',
+            fontWeight: '600',
+            fontSize: '1rem',
+            cursor: running ? 'default' : 'pointer',
+            marginBottom: '24px'
+          }}
+        >
+          {running ? `Running... ${done}/${requests}` : 'Run Distribution Test'}
+        </button>
+
+        {/* Summary */}
+        {done > 0 && (
+          <div style={{
+            backgroundColor: '#ede9fe',
+            border: '2px solid #8b5cf6',
+            borderRadius: '8px',
+            padding: '16px',
+            marginBottom: '24px',
+            color: '#5b21b6',
+            lineHeight: '1.6'
+          }}>
+            <div><strong>Responses:</strong> {distribution.total} ok, {errors} failed</div>
+            <div>
+              <strong>Replicas seen:</strong> {distribution.seen}
+              {distribution.expected && ` of ${distribution.expected} expected`}
+              {distribution.expected && distribution.seen < distribution.expected && ' ⚠️'}
+            </div>
+            <div><strong>Skew score:</strong> {distribution.skew} <span style={{ fontSize: '0.85rem' }}>(0 = perfectly even)</span></div>
+          </div>
+        )}
+
+        {/* Live Bar Chart */}
+        {distribution.replicas.map((replica) => (
+          <div key={replica.hostname} style={{ marginBottom: '12px' }}>
+            <div style={{
+              display: 'flex',
+              justifyContent: 'space-between',
+              fontFamily: 'monospace',
+              fontSize: '0.9rem',
+              color: '#111827',
+              marginBottom: '4px'
+            }}>
+              <span style={{ wordBreak: 'break-all' }}>{replica.hostname}</span>
+              <span>{replica.count} ({replica.percent}%)</span>
+            </div>
+            <div style={{ backgroundColor: '#f3f4f6', borderRadius: '4px', height: '16px' }}>
+              <div style={{
+                width: `${replica.percent}%`,
+                height: '100%',
+                backgroundColor: '#8b5cf6',
+                borderRadius: '4px',
+                transition: 'width 0.2s'
+              }}></div>
+            </div>
+          </div>
+        ))}
+
+        {/* Navigation */}
+        <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap', marginTop: '24px' }}>
+          <Link href="/" style={{
+            flex: '1',
+            padding: '12px 24px',
+            backgroundColor: '#6b7280',
+            color: 'white',
+            textDecoration: 'none',
+            borderRadius: '6px',
+            textAlign: 'center',
+            fontWeight: '500'
+          }}>
+            ← Back to Home
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+}
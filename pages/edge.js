@@ -0,0 +1,192 @@
+/**
+ * Edge Runtime Test Page
+ *
+ * This page is rendered on the edge runtime: getServerSideProps runs on every
+ * request like pages/ssr.js, but inside the edge sandbox instead of Node.js.
+ *
+ * WHAT IS DIFFERENT ON THE EDGE RUNTIME:
+ * - Only Web APIs are available (fetch, Request, Response, crypto, ...)
+ * - Node.js APIs such as process.uptime(), Buffer or the fs module are missing
+ * - process.env only holds variables the platform makes available to it, so
+ *   process.env.HOSTNAME may be empty
+ *
+ * The comparison table below fetches /api/runtime/node and /api/runtime/edge
+ * from the browser and shows both results side by side.
+ *
+ * WHY THIS IS IMPORTANT FOR YOUR PAAS:
+ * - Tests whether the platform can run edge routes at all, and how they
+ *   behave compared with Node.js ones
+ */
+
+import { useEffect, useState } from 'react';
+import Link from 'next/link';
+import { collectRuntimeProbe } from '../lib/runtime-probe';
+
+// Pages Router pages opt into the edge runtime with 'experimental-edge'
+export const config = {
+  runtime: 'experimental-edge',
+};
+
+/**
+ * getServerSideProps - Runs on the EDGE runtime for every request
+ */
+export async function getServerSideProps() {
+  return {
+    props: {
+      probe: collectRuntimeProbe('edge'),
+    },
+  };
+}
+
+// Fields compared side by side, in display order
+const COMPARED_FIELDS = ['runtime', 'renderTime', 'hostname', 'hostnameSet', 'uptime', 'nextVersion'];
+
+// Boolean fields outside `apis` (hostnameSet) tell whether a value is set
+const SET_LABELS = ['✅ set', '❌ not set'];
+
+/**
+ * Formats a compared value; booleans are API availability unless other labels are given.
+ */
+function formatValue(value, booleanLabels = ['✅ available', '❌ missing']) {
+  if (value === null || value === undefined) {
+    return '— missing';
+  }
+  if (typeof value === 'boolean') {
+    return value ? booleanLabels[0] : booleanLabels[1];
+  }
+  return String(value);
+}
+
+/**
+ * EdgePage Component
+ *
+ * @param {object} props - The props returned from getServerSideProps
+ * @param {object} props.probe - The runtime probe collected on the edge runtime
+ */
+export default function EdgePage({ probe }) {
+  const [comparison, setComparison] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    Promise.all(['/api/runtime/node', '/api/runtime/edge'].map((url) =>
+      fetch(url, { cache: 'no-store' }).then((response) => response.json())
+    )).then(([node, edge]) => setComparison({ node, edge }), (err) => setError(err.message));
+  }, []);
+
+  const cellStyle = { padding: '8px', borderBottom: '1px solid #f3f4f6', fontFamily: 'monospace', fontSize: '0.85rem', wordBreak: 'break-all' };
+
+  return (
+    <div style={{
+      minHeight: '100vh',
+      display: 'flex',
+      flexDirection: 'column',
+      alignItems: 'center',
+      justifyContent: 'center',
+      backgroundColor: '#fefce8',
+      fontFamily: 'system-ui, -apple-system, sans-serif',
+      padding: '20px'
+    }}>
+      {/* Header Section */}
+      <div style={{
+        backgroundColor: '#ca8a04',
+        color: 'white',
+        padding: '16px 32px',
+        borderRadius: '8px',
+        marginBottom: '2rem'
+      }}>
+        <h1 style={{ margin: 0, fontSize: '2rem' }}>
+          Edge Runtime Test Page
+        </h1>
+      </div>
+
+      {/* Main Content Card */}
+      <div style={{
+        backgroundColor: 'white',
+        padding: '40px',
+        borderRadius: '12px',
+        boxShadow: '0 4px 6px rgba(0,0,0,0.1)',
+        maxWidth: '700px',
+        width: '100%'
+      }}>
+        {/* Edge Render Result */}
+        <div style={{
+          backgroundColor: '#fef9c3',
+          border: '2px solid #ca8a04',
+          borderRadius: '8px',
+          padding: '16px',
+          marginBottom: '24px',
+          color: '#713f12'
+        }}>
+          <strong>⚡ Rendered on the edge runtime at <code>{probe.renderTime}</code></strong>
+          <p style={{ margin: '8px 0 0 0', fontSize: '0.9rem' }}>
+            {probe.missingApis.length === 0
+              ? 'Every Node.js API checked is available here.'
+              : <>Missing on this runtime: {probe.missingApis.map((name) => <code key={name} style={{ marginRight: '8px' }}>{name}</code>)}</>}
+          </p>
+        </div>
+
+        {/* Comparison View */}
+        <h3 style={{ fontSize: '1rem', color: '#333', margin: '0 0 8px 0' }}>Node.js vs Edge</h3>
+        {error && <p style={{ color: '#b91c1c' }}>❌ Could not load the comparison: {error}</p>}
+        {!comparison && !error && <p style={{ color: '#6b7280' }}>⏳ Loading /api/runtime/node and /api/runtime/edge...</p>}
+        {comparison && (
+          <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr style={{ textAlign: 'left', color: '#4b5563' }}>
+                <th style={cellStyle}>Field</th>
+                <th style={cellStyle}>Node.js</th>
+                <th style={cellStyle}>Edge</th>
+              </tr>
+            </thead>
+            <tbody>
+              {COMPARED_FIELDS.map((field) => (
+                <tr key={field}>
+                  <td style={cellStyle}>{field}</td>
+                  <td style={cellStyle}>{formatValue(comparison.node[field], SET_LABELS)}</td>
+                  <td style={cellStyle}>{formatValue(comparison.edge[field], SET_LABELS)}</td>
+                </tr>
+              ))}
+              {Object.keys(comparison.node.apis).map((name) => (
+                <tr key={name} style={{
+                  backgroundColor: comparison.node.apis[name] !== comparison.edge.apis[name] ? '#fef3c7' : 'transparent'
+                }}>
+                  <td style={cellStyle}>{name}</td>
+                  <td style={cellStyle}>{formatValue(comparison.node.apis[name])}</td>
+                  <td style={cellStyle}>{formatValue(comparison.edge.apis[name])}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        {/* Navigation */}
+        <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap', marginTop: '24px' }}>
+          <Link href="/" style={{
+            flex: '1',
+            padding: '12px 24px',
+            backgroundColor: '#6b7280',
+            color: 'white',
+            textDecoration: 'none',
+            borderRadius: '6px',
+            textAlign: 'center',
+            fontWeight: '500'
+          }}>
+            ← Back to Home
+          </Link>
+          <Link href="/ssr" style={{
+            flex: '1',
+            padding: '12px 24px',
+            backgroundColor: '#0070f3',
+            color: 'white',
+            textDecoration: 'none',
+            borderRadius: '6px',
+            textAlign: 'center',
+            fontWeight: '500'
+          }}>
+            Compare with SSR (Node.js) →
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+}
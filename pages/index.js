@@ -6,8 +6,31 @@
  */
 
 import Link from 'next/link';
+import { getRevalidateSeconds, formatDuration } from '../lib/revalidate';
+
+/**
+ * getStaticProps - Reads the configured ISR revalidate window at build time
+ *
+ * The landing page only needs it for the instructions below, so it is
+ * rendered once at build time like any other static page.
+ */
+export async function getStaticProps() {
+  return {
+    props: {
+      revalidateSeconds: getRevalidateSeconds(),
+    },
+  };
+}
+
+/**
+ * Home Component - The landing page
+ *
+ * @param {object} props - The props returned from getStaticProps
+ * @param {number} props.revalidateSeconds - The configured ISR revalidate window in seconds
+ */
+export default function Home({ revalidateSeconds }) {
+  const windowText = formatDuration(revalidateSeconds);
 
-export default function Home() {
   return (
     <div style={{
       minHeight: '100vh',
@@ -92,6 +115,31 @@ export default function Home() {
             Incremental Static Regeneration
           </div>
         </Link>
+
+        {/* Link to App Router tests */}
+        <Link href="/app-router" style={{
+          display: 'block',
+          padding: '20px 40px',
+          backgroundColor: '#111827',
+          color: 'white',
+          textDecoration: 'none',
+          borderRadius: '8px',
+          fontSize: '1.1rem',
+          fontWeight: '600',
+          transition: 'background-color 0.2s',
+          textAlign: 'center',
+          minWidth: '200px'
+        }}>
+          Test App Router
+          <div style={{
+            fontSize: '0.9rem',
+            fontWeight: 'normal',
+            marginTop: '8px',
+            opacity: '0.9'
+          }}>
+            RSC, Streaming &amp; Revalidation
+          </div>
+        </Link>
       </div>
 
       <div style={{
@@ -110,11 +158,68 @@ export default function Home() {
             <strong>SSR Test:</strong> Renders on every request. The timestamp should change with each page refresh.
           </li>
           <li>
-            <strong>ISR Test:</strong> Cached and revalidated every 10 seconds. The timestamp will stay the same for 10 seconds.
+            <strong>ISR Test:</strong> Cached and revalidated every {windowText}. The timestamp will stay the same for {windowText}.
+          </li>
+          <li>
+            <strong>App Router Test:</strong> Counterparts of the SSR and ISR pages built with the App Router: dynamic, time-revalidated, tag-revalidated and streaming routes.
+          </li>
+          <li>
+            <strong>Dynamic ISR Test:</strong> <code>/isr/&lt;slug&gt;</code> (<code>fallback: 'blocking'</code>) and <code>/isr/fallback/&lt;slug&gt;</code> (<code>fallback: true</code>) generate new pages at runtime. Try <code>/isr/alpha</code> or any new slug.
           </li>
           <li>
             Both pages display <code>process.env.HOSTNAME</code> to identify which container/pod is serving the request.
           </li>
+          <li>
+            <strong>Replica Distribution:</strong> <Link href="/distribution">/distribution</Link> sends many requests and charts how they spread across hostnames.
+          </li>
+          <li>
+            <strong>Streaming:</strong> <Link href="/sse">/sse</Link> opens a Server-Sent Events stream and flags proxies that buffer it.
+          </li>
+          <li>
+            <strong>Large Payloads:</strong> <Link href="/payload">/payload</Link> downloads compressible and incompressible bodies up to 50 MB, with and without chunked transfer, and checks the encoding, transfer time and checksum of each.
+          </li>
+          <li>
+            <strong>WebSockets:</strong> <Link href="/websocket">/websocket</Link> tests the Upgrade handshake, round-trip latency and idle timeouts (needs <code>npm start</code>).
+          </li>
+          <li>
+            <strong>Middleware:</strong> <Link href="/diagnostics/middleware">/diagnostics/middleware</Link> lists which middleware headers, cookies, rewrites and redirects actually happened.
+          </li>
+          <li>
+            <strong>Proxy Headers:</strong> <Link href="/diagnostics/request">/diagnostics/request</Link> shows the client IP, X-Forwarded-* headers, HTTP version and TLS as the app sees them, and flags proxy mistakes.
+          </li>
+          <li>
+            <strong>Edge Runtime:</strong> <Link href="/edge">/edge</Link> renders on the edge runtime and compares it with Node.js (<code>/api/runtime/edge</code> vs <code>/api/runtime/node</code>), listing the Node.js APIs that are missing.
+          </li>
+          <li>
+            <strong>Cold Starts:</strong> the SSR and ISR pages show whether they were rendered by a cold or a warm process; <code>/api/diagnostics/boot</code> reports when the process started, when Next.js was ready and how slow its first responses were.
+          </li>
+          <li>
+            <strong>Environment:</strong> <Link href="/diagnostics/env">/diagnostics/env</Link> compares the variables seen by <code>next build</code> and at runtime (secrets redacted) and checks the ones listed in <code>PROBE_REQUIRED_ENV</code>.
+          </li>
+          <li>
+            <strong>Storage:</strong> <code>/api/diagnostics/storage</code> tests whether <code>.next</code>, <code>/tmp</code> and the working directory are writable and lists the ISR pages cached on disk; the ISR page warns when regenerated pages cannot be saved.
+          </li>
+          <li>
+            <strong>Graceful Shutdown:</strong> start a slow request with <code>/api/slow?ms=10000</code>, then roll out a deploy - the request should still complete while <code>/readyz</code> returns 503.
+          </li>
+          <li>
+            <strong>Resources:</strong> <Link href="/diagnostics/resources">/diagnostics/resources</Link> shows the cgroup CPU and memory limits, heap and RSS usage, event-loop lag and active handles of the replica.
+          </li>
+          <li>
+            <strong>Fault Injection:</strong> <Link href="/chaos">/chaos</Link> adds delays, returns chosen status codes, throws in <code>getServerSideProps</code>, leaks memory, burns CPU or crashes the process (only when <code>CHAOS_ENABLED=true</code>; leaking, burning and crashing also need <code>CHAOS_SECRET</code>).
+          </li>
+          <li>
+            <strong>JSON API:</strong> <code>/api/probe/ssr</code> and <code>/api/probe/isr</code> return the same data as versioned JSON for automated checks.
+          </li>
+          <li>
+            <strong>Logging:</strong> SSR renders and ISR regenerations are logged as JSON with the route, hostname, duration and request ID (from <code>X-Request-Id</code> or generated); an incoming <code>traceparent</code> is logged and continued with a new span ID in the response.
+          </li>
+          <li>
+            <strong>Metrics:</strong> <code>/api/metrics</code> serves request counts, latency histograms, ISR regenerations and build info in Prometheus format (<code>hello.js</code> serves the same metrics).
+          </li>
+          <li>
+            <strong>Automated checks:</strong> <code>npm run probe -- check &lt;baseUrl&gt;</code> runs the SSR and ISR testing checklists and writes JSON and JUnit reports; <code>npm run probe -- benchmark &lt;baseUrl&gt;</code> measures p50/p90/p99 latency per route and replica.
+          </li>
         </ul>
       </div>
     </div>
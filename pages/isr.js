@@ -6,7 +6,7 @@
  * HOW ISR WORKS:
  * - During build time (npm run build), Next.js generates a static HTML page
  * - The page is served from cache (super fast!)
- * - After the revalidate time expires (10 seconds in this case), the NEXT request triggers regeneration
+ * - After the revalidate time expires (ISR_REVALIDATE_SECONDS, 10 seconds by default), the NEXT request triggers regeneration
  * - While regenerating in the background, the stale cached version is still served (stale-while-revalidate)
  * - Once regeneration completes, the new version replaces the cached version
  * 
@@ -15,9 +15,21 @@
  * - Verifies that background regeneration works correctly
  * - Confirms that the platform can handle the revalidation timing mechanism
  * - Proves that your platform supports Next.js's hybrid static/dynamic approach
+ * - The "Revalidate Now" button tests on-demand revalidation via /api/revalidate
+ * - A warning appears if the ISR cache directory is not writable (see lib/storage.js)
  */
 
 import Link from 'next/link';
+import RevalidateButton from '../components/RevalidateButton';
+import ColdStartInfo from '../components/ColdStartInfo';
+import CacheStorageWarning from '../components/CacheStorageWarning';
+import RegenerationTimeline from '../components/RegenerationTimeline';
+import { collectProbeData } from '../lib/probe';
+import { recordRegeneration } from '../lib/regeneration';
+import { getRevalidateSeconds, formatDuration } from '../lib/revalidate';
+import { recordRender, getColdStartSummary } from '../lib/boot';
+import { getRequestContext, logRender } from '../lib/log';
+import { recordHistory, getHistory } from '../lib/isr-history';
 
 /**
  * getStaticProps - This function runs at BUILD TIME and during REVALIDATION
@@ -30,39 +42,58 @@ import Link from 'next/link';
  * - Runs on the server, never in the browser
  * 
  * THE REVALIDATE PROPERTY:
- * - revalidate: 10 means "keep this page cached for 10 seconds"
- * - After 10 seconds, the next visitor triggers a background regeneration
+ * - revalidate is how many seconds this page stays cached before it can regenerate
+ * - It comes from getRevalidateSeconds(): ISR_REVALIDATE_SECONDS, 10 seconds if unset (see lib/revalidate.js)
+ * - After the window expires, the next visitor triggers a background regeneration
  * - That visitor still sees the old cached version (instant load!)
  * - Subsequent visitors see the updated version
  * 
  * HOW TO TEST:
  * 1. Refresh the page multiple times quickly - you'll see the SAME timestamp
- * 2. Wait 10+ seconds and refresh - still the same timestamp (you're seeing cached version)
+ * 2. Wait out the revalidate window and refresh - still the same timestamp (you're seeing cached version)
  * 3. Refresh again - NOW you'll see a new timestamp (regeneration happened in background)
  */
 export async function getStaticProps() {
-  // Get the current time when this page is being generated/regenerated
-  // This timestamp will "freeze" for 10 seconds at a time
-  const renderTime = new Date().toISOString();
+  const startedAt = performance.now();
+
+  // Collect the probe data when this page is being generated/regenerated
+  // renderTime will "freeze" for one revalidate window at a time
+  // hostname shows which server/container built or regenerated the page
+  const probe = collectProbeData('isr');
   
-  // Get the hostname from environment variables
-  // This shows which server/container built or regenerated the page
-  const hostname = process.env.HOSTNAME || 'Not set (check your platform configuration)';
+  // Read the configured revalidate window (10 seconds unless ISR_REVALIDATE_SECONDS is set)
+  const revalidateSeconds = getRevalidateSeconds();
   
+  // Remember this generation so /api/revalidate can report the new renderTime
+  // and /api/probe/isr returns this exact payload
+  recordRegeneration('/isr', probe);
+
   // Calculate when the next revalidation is eligible
   // This is just for display purposes to help with testing
-  const nextRevalidation = new Date(Date.now() + 10000).toISOString();
+  const nextRevalidation = new Date(Date.now() + revalidateSeconds * 1000).toISOString();
+
+  // Log the regeneration with the ID of the request that triggered it
+  logRender('isr-regeneration', '/isr', startedAt, getRequestContext());
+
+  // Add this run to the local history, which the page shows as a timeline
+  recordHistory('/isr', probe, startedAt);
+
+  // The first regeneration in a process pays for loading the page code (a cold start)
+  const cold = recordRender('/isr', startedAt);
   
   // Return the props and revalidate configuration
   return {
     props: {
-      renderTime: renderTime,
-      hostname: hostname,
+      renderTime: probe.renderTime,
+      hostname: probe.hostname,
       nextRevalidation: nextRevalidation,
+      revalidateSeconds: revalidateSeconds,
+      boot: getColdStartSummary('/isr', cold),
+      history: getHistory('/isr', revalidateSeconds),
     },
-    // CRITICAL: This tells Next.js to keep the page cached for 10 seconds
-    // After 10 seconds, trigger regeneration on the next request
-    revalidate: 10, // In seconds
+    // CRITICAL: This tells Next.js to keep the page cached for revalidateSeconds
+    // After that, trigger regeneration on the next request
+    revalidate: revalidateSeconds, // In seconds
   };
 }
 
@@ -73,8 +104,13 @@ export async function getStaticProps() {
  * @param {string} props.renderTime - The timestamp when the page was last generated
  * @param {string} props.hostname - The hostname that generated this page version
  * @param {string} props.nextRevalidation - Estimated time for next revalidation eligibility
+ * @param {number} props.revalidateSeconds - The configured revalidate window in seconds
+ * @param {object} props.boot - Cold-start details of the process that generated this version (see lib/boot.js)
+ * @param {object} props.history - Past regenerations up to this version (see lib/isr-history.js)
  */
-export default function ISRPage({ renderTime, hostname, nextRevalidation }) {
+export default function ISRPage({ renderTime, hostname, nextRevalidation, revalidateSeconds, boot, history }) {
+  const windowText = formatDuration(revalidateSeconds);
+
   return (
     <div style={{
       minHeight: '100vh',
@@ -108,6 +144,9 @@ export default function ISRPage({ renderTime, hostname, nextRevalidation }) {
         maxWidth: '600px',
         width: '100%'
       }}>
+        {/* Shown only when regenerated pages cannot be saved to disk */}
+        <CacheStorageWarning />
+
         {/* Status Indicator */}
         <div style={{
           backgroundColor: '#d1fae5',
@@ -135,7 +174,7 @@ export default function ISRPage({ renderTime, hostname, nextRevalidation }) {
             fontSize: '0.9rem',
             color: '#047857'
           }}>
-            ⚡ This page is cached for 10 seconds, then regenerated in the background
+            ⚡ This page is cached for {windowText}, then regenerated in the background
           </p>
         </div>
 
@@ -169,7 +208,7 @@ export default function ISRPage({ renderTime, hostname, nextRevalidation }) {
             marginTop: '8px',
             fontStyle: 'italic'
           }}>
-            💡 This timestamp stays frozen for 10 seconds between updates
+            💡 This timestamp stays frozen for {windowText} between updates
           </p>
         </div>
 
@@ -208,6 +247,9 @@ export default function ISRPage({ renderTime, hostname, nextRevalidation }) {
           </p>
         </div>
 
+        {/* Cold Start Display */}
+        <ColdStartInfo boot={boot} />
+
         {/* Next Revalidation Time Display */}
         <div style={{ marginBottom: '24px' }}>
           <label style={{
@@ -242,6 +284,12 @@ export default function ISRPage({ renderTime, hostname, nextRevalidation }) {
           </p>
         </div>
 
+        {/* Regeneration History Timeline */}
+        <RegenerationTimeline history={history} revalidateSeconds={revalidateSeconds} />
+
+        {/* On-Demand Revalidation */}
+        <RevalidateButton path="/isr" />
+
         {/* Explanation Section */}
         <div style={{
           backgroundColor: '#eff6ff',
@@ -265,8 +313,8 @@ export default function ISRPage({ renderTime, hostname, nextRevalidation }) {
             lineHeight: '1.6'
           }}>
             <li>Page is pre-built at build time and served from cache (lightning fast!)</li>
-            <li>Cache is valid for <strong>10 seconds</strong> (the revalidate time)</li>
-            <li>After 10 seconds, the next visitor triggers background regeneration</li>
+            <li>Cache is valid for <strong>{windowText}</strong> (the revalidate time)</li>
+            <li>After {windowText}, the next visitor triggers background regeneration</li>
             <li>That visitor still gets the cached version instantly</li>
             <li>Subsequent visitors get the updated version</li>
           </ul>
@@ -320,10 +368,11 @@ export default function ISRPage({ renderTime, hostname, nextRevalidation }) {
         </h3>
         <ol style={{ color: '#666', lineHeight: '1.8', margin: 0, paddingLeft: '20px' }}>
           <li><strong>Initial test:</strong> Refresh multiple times quickly - timestamp should NOT change</li>
-          <li><strong>Wait 10 seconds</strong> and refresh once - you'll still see the OLD timestamp</li>
+          <li><strong>Wait {windowText}</strong> and refresh once - you'll still see the OLD timestamp</li>
           <li><strong>Refresh again</strong> (after step 2) - now you should see a NEW timestamp</li>
           <li>The background regeneration happened between your 2nd and 3rd refresh</li>
-          <li>Repeat the test to verify consistent 10-second caching behavior</li>
+          <li>Repeat the test to verify consistent {windowText} caching behavior</li>
+          <li>Check the regeneration history: while you keep refreshing, runs should be about {windowText} apart, with no highlighted gaps</li>
         </ol>
         
         <div style={{
@@ -0,0 +1,37 @@
+/**
+ * Dynamic ISR Test Page - fallback: 'blocking'
+ *
+ * This page tests whether the platform can generate and persist brand-new
+ * ISR pages at runtime, not only the ones pre-built at build time.
+ *
+ * HOW IT WORKS:
+ * - getStaticPaths pre-builds a few slugs (alpha, beta, gamma) at build time
+ * - Any other slug is generated on its first request; with fallback: 'blocking'
+ *   that visitor waits for the server render, like SSR
+ * - The generated page is then cached and revalidated like pages/isr.js
+ * - Reserved or invalid slugs return { notFound: true } (a 404)
+ *
+ * WHY THIS IS IMPORTANT FOR YOUR PAAS:
+ * - Runtime-generated pages must be written to the ISR cache and reused
+ * - With several replicas, the new page should be shared, not generated per pod
+ */
+
+import DynamicISRPage from '../../components/DynamicISRPage';
+import { getPrebuiltPaths, createGetStaticProps } from '../../lib/dynamic-isr';
+
+/**
+ * getStaticPaths - Lists the slugs generated at build time
+ *
+ * fallback: 'blocking' means unknown slugs are server-rendered on first
+ * request and the visitor only receives the finished page.
+ */
+export async function getStaticPaths() {
+  return {
+    paths: getPrebuiltPaths(),
+    fallback: 'blocking',
+  };
+}
+
+export const getStaticProps = createGetStaticProps('/isr', 'blocking');
+
+export default DynamicISRPage;
@@ -0,0 +1,31 @@
+/**
+ * Dynamic ISR Test Page - fallback: true
+ *
+ * Same as pages/isr/[slug].js, but unknown slugs use fallback: true: the
+ * first visitor immediately gets a fallback page (router.isFallback) while
+ * the server generates the real one, and the props are loaded client-side.
+ *
+ * WHY THIS IS IMPORTANT FOR YOUR PAAS:
+ * - The platform must serve the fallback shell and the /_next/data JSON request
+ *   that follows it, then cache the generated page for later visitors
+ */
+
+import DynamicISRPage from '../../../components/DynamicISRPage';
+import { getPrebuiltPaths, createGetStaticProps } from '../../../lib/dynamic-isr';
+
+/**
+ * getStaticPaths - Lists the slugs generated at build time
+ *
+ * fallback: true means unknown slugs render a fallback page first and
+ * are generated in the background.
+ */
+export async function getStaticPaths() {
+  return {
+    paths: getPrebuiltPaths(),
+    fallback: true,
+  };
+}
+
+export const getStaticProps = createGetStaticProps('/isr/fallback', true);
+
+export default DynamicISRPage;
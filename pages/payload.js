@@ -0,0 +1,302 @@
+/**
+ * Compression, Large Payload & Chunked Transfer Test Page
+ *
+ * Downloads bodies of several sizes from /api/payload, compressible and not,
+ * with and without chunked streaming, and reports for each one the encoding
+ * negotiated, the bytes on the wire, the transfer time and whether the body
+ * matches the checksum the server sent.
+ *
+ * HOW IT WORKS:
+ * - The server sends the body's size and SHA-256 in X-Payload-Bytes and
+ *   X-Payload-Sha256 (see lib/payload.js)
+ * - The browser decodes the body, hashes it with crypto.subtle and compares
+ * - The Resource Timing API gives the size on the wire (encodedBodySize), so
+ *   a compressible body that arrives uncompressed is easy to spot
+ *
+ * WHY THIS IS IMPORTANT FOR YOUR PAAS:
+ * - Catches proxies that drop Content-Encoding, cut off large responses or
+ *   refuse chunked ones - none of which the small probe pages ever trigger
+ */
+
+import { useState } from 'react';
+import Link from 'next/link';
+
+const SIZES = ['100kb', '1mb', '10mb'];
+const KINDS = ['text', 'random'];
+
+// Compressible bodies at least this large should arrive compressed
+const MIN_COMPRESSED_BYTES = 1024;
+
+/**
+ * Formats a byte count as "512 B", "97.7 KB" or "10.0 MB".
+ */
+function formatBytes(bytes) {
+  if (bytes === null || bytes === undefined) {
+    return '-';
+  }
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  return bytes < 1024 * 1024 ? `${(bytes / 1024).toFixed(1)} KB` : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * Returns the hex SHA-256 of the body, or null where crypto.subtle is not
+ * available (it needs https, or localhost).
+ */
+async function sha256(buffer) {
+  if (!window.crypto || !window.crypto.subtle) {
+    return null;
+  }
+  const digest = await window.crypto.subtle.digest('SHA-256', buffer);
+  return Array.from(new Uint8Array(digest)).map((byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * runDownload - Fetches one payload and checks it
+ *
+ * @param {object} test - { size, kind, chunked }
+ * @returns {Promise<object>} The test plus status, encoding, sizes, timing, integrity and problems
+ */
+async function runDownload(test) {
+  const query = new URLSearchParams({ size: test.size, kind: test.kind, chunked: test.chunked ? '1' : '0', t: String(Date.now()) });
+  const url = new URL(`/api/payload?${query}`, window.location.href).href;
+  const startedAt = performance.now();
+
+  let response;
+  let buffer;
+  try {
+    response = await fetch(url, { cache: 'no-store' });
+    buffer = await response.arrayBuffer();
+  } catch (err) {
+    return { ...test, error: err.message, durationMs: Math.round(performance.now() - startedAt), problems: ['Request failed or was cut off'] };
+  }
+  const durationMs = Math.round(performance.now() - startedAt);
+
+  const expectedBytes = Number(response.headers.get('x-payload-bytes'));
+  const expectedSha256 = response.headers.get('x-payload-sha256');
+  const encoding = response.headers.get('content-encoding') || 'identity';
+  const timing = performance.getEntriesByName(url)[0];
+  const wireBytes = timing && timing.encodedBodySize > 0 ? timing.encodedBodySize : null;
+  const actualSha256 = await sha256(buffer);
+
+  let integrity = 'ok';
+  if (!expectedSha256) {
+    integrity = 'no checksum header';
+  } else if (buffer.byteLength !== expectedBytes) {
+    integrity = 'size mismatch';
+  } else if (actualSha256 === null) {
+    integrity = 'size ok (no crypto.subtle)';
+  } else if (actualSha256 !== expectedSha256) {
+    integrity = 'checksum mismatch';
+  }
+
+  const problems = [];
+  if (!response.ok) {
+    problems.push(`HTTP ${response.status}`);
+  }
+  if (integrity === 'size mismatch' || integrity === 'checksum mismatch') {
+    problems.push(buffer.byteLength < expectedBytes ? 'Body cut off' : 'Body corrupted (Content-Encoding dropped?)');
+  }
+  if (test.kind === 'text' && encoding === 'identity' && expectedBytes >= MIN_COMPRESSED_BYTES) {
+    problems.push('Compressible body sent uncompressed');
+  }
+
+  return {
+    ...test,
+    status: response.status,
+    encoding: encoding,
+    receivedBytes: buffer.byteLength,
+    expectedBytes: expectedBytes,
+    wireBytes: wireBytes,
+    durationMs: durationMs,
+    integrity: integrity,
+    hostname: response.headers.get('x-probe-hostname'),
+    problems: problems,
+  };
+}
+
+/**
+ * PayloadPage Component - Runs the download matrix and shows the results
+ */
+export default function PayloadPage() {
+  const [results, setResults] = useState([]);
+  const [running, setRunning] = useState(false);
+  const [customSize, setCustomSize] = useState('25mb');
+
+  async function run(sizes) {
+    setRunning(true);
+    setResults([]);
+    // One at a time, so the transfer times don't compete for bandwidth
+    for (const size of sizes) {
+      for (const kind of KINDS) {
+        for (const chunked of [false, true]) {
+          const result = await runDownload({ size: size, kind: kind, chunked: chunked });
+          setResults((previous) => [...previous, result]);
+        }
+      }
+    }
+    setRunning(false);
+  }
+
+  const failed = results.filter((result) => result.problems.length > 0);
+
+  return (
+    <div style={{
+      minHeight: '100vh',
+      display: 'flex',
+      flexDirection: 'column',
+      alignItems: 'center',
+      justifyContent: 'center',
+      backgroundColor: '#fdf2f8',
+      fontFamily: 'system-ui, -apple-system, sans-serif',
+      padding: '20px'
+    }}>
+      {/* Header Section */}
+      <div style={{
+        backgroundColor: '#be185d',
+        color: 'white',
+        padding: '16px 32px',
+        borderRadius: '8px',
+        marginBottom: '2rem'
+      }}>
+        <h1 style={{ margin: 0, fontSize: '2rem' }}>
+          Payload &amp; Compression Test
+        </h1>
+      </div>
+
+      {/* Main Content Card */}
+      <div style={{
+        backgroundColor: 'white',
+        padding: '40px',
+        borderRadius: '12px',
+        boxShadow: '0 4px 6px rgba(0,0,0,0.1)',
+        maxWidth: '900px',
+        width: '100%'
+      }}>
+        {/* Test Settings */}
+        <div style={{ display: 'flex', gap: '12px', alignItems: 'center', flexWrap: 'wrap', marginBottom: '16px' }}>
+          <button
+            onClick={() => run(SIZES)}
+            disabled={running}
+            style={{
+              padding: '8px 16px',
+              backgroundColor: running ? '#9ca3af' : '#be185d',
+              color: 'white',
+              border: 'none',
+              borderRadius: '6px',
+              fontWeight: '600',
+              cursor: running ? 'default' : 'pointer'
+            }}
+          >
+            {running ? 'Running...' : `Run ${SIZES.join(', ')}`}
+          </button>
+          <label style={{ fontSize: '0.9rem', color: '#4b5563', marginLeft: 'auto' }}>
+            Custom size{' '}
+            <input
+              value={customSize}
+              onChange={(event) => setCustomSize(event.target.value)}
+              style={{ width: '90px', padding: '6px 8px', border: '1px solid #d1d5db', borderRadius: '6px' }}
+            />
+          </label>
+          <button
+            onClick={() => run([customSize])}
+            disabled={running}
+            style={{
+              padding: '8px 16px',
+              backgroundColor: 'white',
+              color: '#be185d',
+              border: '1px solid #be185d',
+              borderRadius: '6px',
+              fontWeight: '600',
+              cursor: running ? 'default' : 'pointer'
+            }}
+          >
+            Run custom
+          </button>
+        </div>
+
+        <p style={{ fontSize: '0.85rem', color: '#6b7280', margin: '0 0 24px 0' }}>
+          Each size is downloaded as compressible text and random bytes, with a Content-Length and chunked (max 50mb).
+        </p>
+
+        {/* Verdict */}
+        {results.length > 0 && !running && (
+          <div style={{
+            backgroundColor: failed.length > 0 ? '#fee2e2' : '#d1fae5',
+            border: `2px solid ${failed.length > 0 ? '#ef4444' : '#10b981'}`,
+            borderRadius: '8px',
+            padding: '16px',
+            marginBottom: '24px',
+            color: failed.length > 0 ? '#991b1b' : '#065f46'
+          }}>
+            <strong>
+              {failed.length > 0
+                ? `⚠️ ${failed.length} of ${results.length} downloads had problems`
+                : `✅ All ${results.length} downloads arrived intact`}
+            </strong>
+          </div>
+        )}
+
+        {/* Results Table */}
+        {results.length > 0 && (
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontFamily: 'monospace', fontSize: '0.8rem', marginBottom: '24px' }}>
+            <thead>
+              <tr style={{ textAlign: 'left', color: '#4b5563', borderBottom: '1px solid #e5e7eb' }}>
+                <th style={{ padding: '6px' }}>Payload</th>
+                <th style={{ padding: '6px' }}>Status</th>
+                <th style={{ padding: '6px' }}>Encoding</th>
+                <th style={{ padding: '6px' }}>Received</th>
+                <th style={{ padding: '6px' }}>On the Wire</th>
+                <th style={{ padding: '6px' }}>Time</th>
+                <th style={{ padding: '6px' }}>Integrity</th>
+              </tr>
+            </thead>
+            <tbody>
+              {results.map((result, index) => (
+                <tr key={index} style={{
+                  borderBottom: '1px solid #f3f4f6',
+                  backgroundColor: result.problems.length > 0 ? '#fee2e2' : 'transparent'
+                }}>
+                  <td style={{ padding: '6px' }}>{result.size} {result.kind}{result.chunked ? ' chunked' : ''}</td>
+                  <td style={{ padding: '6px' }}>{result.error ? 'failed' : result.status}</td>
+                  <td style={{ padding: '6px' }}>{result.encoding || '-'}</td>
+                  <td style={{ padding: '6px' }}>{formatBytes(result.receivedBytes)}</td>
+                  <td style={{ padding: '6px' }}>{formatBytes(result.wireBytes)}</td>
+                  <td style={{ padding: '6px' }}>{result.durationMs} ms</td>
+                  <td style={{ padding: '6px' }}>
+                    {result.error ? result.error : result.integrity}
+                    {result.problems.length > 0 && (
+                      <div style={{ color: '#991b1b' }}>{result.problems.join(', ')}</div>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        <p style={{ color: '#666', fontSize: '0.85rem', lineHeight: '1.6', marginBottom: '24px' }}>
+          Raw endpoint: <code>/api/payload?size=10mb&amp;kind=random&amp;chunked=1</code> - compare
+          the body with its <code>X-Payload-Sha256</code> header, e.g. with <code>curl -s --compressed ... | sha256sum</code>.
+        </p>
+
+        {/* Navigation */}
+        <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap' }}>
+          <Link href="/" style={{
+            flex: '1',
+            padding: '12px 24px',
+            backgroundColor: '#6b7280',
+            color: 'white',
+            textDecoration: 'none',
+            borderRadius: '6px',
+            textAlign: 'center',
+            fontWeight: '500'
+          }}>
+            ← Back to Home
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+}
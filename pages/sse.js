@@ -0,0 +1,252 @@
+/**
+ * Server-Sent Events (SSE) Buffering Test Page
+ *
+ * Connects to /api/sse with EventSource and shows, for every event, the delay
+ * between the server send time and the browser arrival time.
+ *
+ * HOW BUFFERING SHOWS UP:
+ * - Unbuffered: events arrive one per interval, each with a similar delay
+ * - Buffered: nothing arrives for a while, then several events at once
+ *   (a "burst"), with delays that grow until the buffer is flushed
+ *
+ * The browser and server clocks are not synchronized, so the delays shown
+ * are relative to the fastest event seen (the "extra delay"). That cancels
+ * the clock offset, which is the same for every event.
+ *
+ * WHY THIS IS IMPORTANT FOR YOUR PAAS:
+ * - Streaming responses (SSE, React streaming, progress updates) only work if
+ *   the platform's proxies pass bytes through as they are written
+ */
+
+import { useEffect, useRef, useState } from 'react';
+import Link from 'next/link';
+
+// An event arriving this much sooner than it was sent (relative to the
+// previous one) counts as part of a burst
+const BURST_GAP_RATIO = 0.25;
+
+// How many of the most recent events to list
+const VISIBLE_EVENTS = 15;
+
+/**
+ * analyzeEvents - Computes extra delays and detects bursts
+ *
+ * @param {Array<object>} events - Received events: { seq, sentAtMs, arrivedAtMs }
+ * @returns {object} { rows, bursts, maxExtraDelayMs, buffered }
+ */
+function analyzeEvents(events) {
+  const minDelay = Math.min(...events.map((event) => event.arrivedAtMs - event.sentAtMs));
+  let bursts = 0;
+
+  const rows = events.map((event, index) => {
+    const previous = events[index - 1];
+    const sentGapMs = previous ? event.sentAtMs - previous.sentAtMs : null;
+    const arrivalGapMs = previous ? event.arrivedAtMs - previous.arrivedAtMs : null;
+    const burst = previous !== undefined && arrivalGapMs < sentGapMs * BURST_GAP_RATIO;
+    if (burst) {
+      bursts++;
+    }
+
+    return {
+      ...event,
+      extraDelayMs: event.arrivedAtMs - event.sentAtMs - minDelay,
+      arrivalGapMs: arrivalGapMs,
+      burst: burst,
+    };
+  });
+
+  return {
+    rows: rows,
+    bursts: bursts,
+    maxExtraDelayMs: rows.reduce((max, row) => Math.max(max, row.extraDelayMs), 0),
+    // One early hiccup can be the network; repeated bursts are a buffering proxy
+    buffered: bursts >= 2,
+  };
+}
+
+/**
+ * SSEPage Component - Streams events and reports buffering
+ */
+export default function SSEPage() {
+  const [interval, setIntervalMs] = useState(1000);
+  const [noBuffering, setNoBuffering] = useState(false);
+  const [connected, setConnected] = useState(false);
+  const [status, setStatus] = useState('Not connected');
+  const [events, setEvents] = useState([]);
+  const sourceRef = useRef(null);
+
+  function disconnect() {
+    if (sourceRef.current) {
+      sourceRef.current.close();
+      sourceRef.current = null;
+    }
+    setConnected(false);
+  }
+
+  function connect() {
+    disconnect();
+    setEvents([]);
+
+    const openedAtMs = Date.now();
+    const source = new EventSource(`/api/sse?interval=${interval}${noBuffering ? '&noBuffering=1' : ''}`);
+    sourceRef.current = source;
+    setConnected(true);
+    setStatus('Connecting...');
+
+    source.addEventListener('tick', (message) => {
+      const arrivedAtMs = Date.now();
+      const data = JSON.parse(message.data);
+      setEvents((previous) => previous.concat({
+        seq: data.seq,
+        sentAt: data.sentAt,
+        sentAtMs: data.sentAtMs,
+        arrivedAtMs: arrivedAtMs,
+        hostname: data.hostname,
+      }));
+      setStatus(`Streaming from ${data.hostname} (first event after ${arrivedAtMs - openedAtMs} ms)`);
+    });
+
+    source.onerror = () => {
+      setStatus(source.readyState === EventSource.CLOSED ? 'Connection closed' : 'Connection lost, reconnecting...');
+    };
+  }
+
+  // Close the stream when leaving the page
+  useEffect(() => disconnect, []);
+
+  const analysis = events.length > 0 ? analyzeEvents(events) : null;
+
+  return (
+    <div style={{
+      minHeight: '100vh',
+      display: 'flex',
+      flexDirection: 'column',
+      alignItems: 'center',
+      justifyContent: 'center',
+      backgroundColor: '#fff7ed',
+      fontFamily: 'system-ui, -apple-system, sans-serif',
+      padding: '20px'
+    }}>
+      {/* Header Section */}
+      <div style={{
+        backgroundColor: '#f97316',
+        color: 'white',
+        padding: '16px 32px',
+        borderRadius: '8px',
+        marginBottom: '2rem'
+      }}>
+        <h1 style={{ margin: 0, fontSize: '2rem' }}>
+          SSE Streaming Test
+        </h1>
+      </div>
+
+      {/* Main Content Card */}
+      <div style={{
+        backgroundColor: 'white',
+        padding: '40px',
+        borderRadius: '12px',
+        boxShadow: '0 4px 6px rgba(0,0,0,0.1)',
+        maxWidth: '700px',
+        width: '100%'
+      }}>
+        {/* Connection Settings */}
+        <div style={{ display: 'flex', gap: '12px', alignItems: 'center', flexWrap: 'wrap', marginBottom: '16px' }}>
+          <label style={{ fontSize: '0.9rem', color: '#4b5563' }}>
+            Interval (ms){' '}
+            <input
+              type="number"
+              min="100"
+              value={interval}
+              onChange={(event) => setIntervalMs(event.target.value)}
+              style={{ width: '90px', padding: '6px 8px', border: '1px solid #d1d5db', borderRadius: '6px' }}
+            />
+          </label>
+          <label style={{ fontSize: '0.9rem', color: '#4b5563' }}>
+            <input type="checkbox" checked={noBuffering} onChange={(event) => setNoBuffering(event.target.checked)} />
+            {' '}Send <code>X-Accel-Buffering: no</code>
+          </label>
+          <button
+            onClick={connected ? disconnect : connect}
+            style={{
+              marginLeft: 'auto',
+              padding: '8px 16px',
+              backgroundColor: connected ? '#6b7280' : '#f97316',
+              color: 'white',
+              border: 'none',
+              borderRadius: '6px',
+              fontWeight: '600',
+              cursor: 'pointer'
+            }}
+          >
+            {connected ? 'Disconnect' : 'Connect'}
+          </button>
+        </div>
+
+        <p style={{ fontSize: '0.9rem', color: '#6b7280', margin: '0 0 24px 0' }}>{status}</p>
+
+        {/* Verdict */}
+        {analysis && events.length > 2 && (
+          <div style={{
+            backgroundColor: analysis.buffered ? '#fee2e2' : '#d1fae5',
+            border: `2px solid ${analysis.buffered ? '#ef4444' : '#10b981'}`,
+            borderRadius: '8px',
+            padding: '16px',
+            marginBottom: '24px',
+            color: analysis.buffered ? '#991b1b' : '#065f46'
+          }}>
+            <strong>
+              {analysis.buffered ? '⚠️ Buffering detected' : '✅ Events arrive as they are sent'}
+            </strong>
+            <div style={{ fontSize: '0.9rem', marginTop: '8px' }}>
+              {events.length} events, {analysis.bursts} arrived in bursts,
+              max extra delay {analysis.maxExtraDelayMs} ms
+            </div>
+          </div>
+        )}
+
+        {/* Event Table */}
+        {analysis && (
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontFamily: 'monospace', fontSize: '0.85rem' }}>
+            <thead>
+              <tr style={{ textAlign: 'left', color: '#4b5563', borderBottom: '1px solid #e5e7eb' }}>
+                <th style={{ padding: '6px' }}>#</th>
+                <th style={{ padding: '6px' }}>Server Sent</th>
+                <th style={{ padding: '6px' }}>Extra Delay</th>
+                <th style={{ padding: '6px' }}>Gap</th>
+              </tr>
+            </thead>
+            <tbody>
+              {analysis.rows.slice(-VISIBLE_EVENTS).reverse().map((row) => (
+                <tr key={row.seq} style={{ borderBottom: '1px solid #f3f4f6', backgroundColor: row.burst ? '#fef3c7' : 'transparent' }}>
+                  <td style={{ padding: '6px' }}>{row.seq}</td>
+                  <td style={{ padding: '6px' }}>{row.sentAt}</td>
+                  <td style={{ padding: '6px' }}>{row.extraDelayMs} ms</td>
+                  <td style={{ padding: '6px' }}>
+                    {row.arrivalGapMs === null ? '-' : `${row.arrivalGapMs} ms`}
+                    {row.burst && ' ⚡ burst'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        {/* Navigation */}
+        <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap', marginTop: '24px' }}>
+          <Link href="/" style={{
+            flex: '1',
+            padding: '12px 24px',
+            backgroundColor: '#6b7280',
+            color: 'white',
+            textDecoration: 'none',
+            borderRadius: '6px',
+            textAlign: 'center',
+            fontWeight: '500'
+          }}>
+            ← Back to Home
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+}
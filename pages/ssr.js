@@ -17,6 +17,12 @@
  */
 
 import Link from 'next/link';
+import ColdStartInfo from '../components/ColdStartInfo';
+import ResourceInfo from '../components/ResourceInfo';
+import { collectProbeData } from '../lib/probe';
+import { recordRender, getColdStartSummary } from '../lib/boot';
+import { getResourceReport } from '../lib/resources';
+import { getRequestContext, logRender } from '../lib/log';
 
 /**
  * getServerSideProps - This function runs on the SERVER for every request
@@ -30,24 +36,36 @@ import Link from 'next/link';
  * WHAT IT DOES:
  * - Fetches the current server time (proves the code runs on each request)
  * - Reads environment variables (proves server-side execution context)
+ * - Logs the render as JSON with its request ID (see lib/log.js)
  * - Returns data that will be injected as props into the SSRPage component below
  */
-export async function getServerSideProps() {
-  // Get the current time on the server
-  // This will be different on each request, proving SSR is working
-  const currentTime = new Date().toISOString();
-  
-  // Get the hostname from environment variables
-  // In a Kubernetes/container environment, this identifies which pod is serving the request
-  // If not set, we provide a fallback message
-  const hostname = process.env.HOSTNAME || 'Not set (check your platform configuration)';
+export async function getServerSideProps({ req, res }) {
+  const startedAt = performance.now();
+
+  // The request ID comes from X-Request-Id or is generated, and is echoed in the response
+  const context = getRequestContext(req, res);
+
+  // Collect the probe data on the server
+  // The same helper backs /api/probe/ssr, so the page and the JSON API always agree
+  const probe = collectProbeData('ssr');
+
+  const resources = getResourceReport();
+  logRender('ssr-render', '/ssr', startedAt, context);
+
+  // The first render in a process pays for loading the page code (a cold start)
+  const cold = recordRender('/ssr', startedAt);
   
   // Return the props object
-  // These values will be passed to the SSRPage component below as props
+  // serverTime will be different on each request, proving SSR is working
+  // hostname identifies which pod is serving the request (or a fallback message if not set)
   return {
     props: {
-      serverTime: currentTime,
-      hostname: hostname,
+      serverTime: probe.renderTime,
+      hostname: probe.hostname,
+      boot: getColdStartSummary('/ssr', cold),
+      resources: resources,
+      requestId: context.requestId,
+      traceId: context.traceId,
     },
   };
 }
@@ -58,8 +76,12 @@ export async function getServerSideProps() {
  * @param {object} props - The props returned from getServerSideProps
  * @param {string} props.serverTime - The timestamp when the page was rendered
  * @param {string} props.hostname - The hostname of the server/container that rendered this page
+ * @param {object} props.boot - Cold-start details of the rendering process (see lib/boot.js)
+ * @param {object} props.resources - CPU and memory of the rendering process (see lib/resources.js)
+ * @param {string} props.requestId - The ID of this request in the logs (see lib/log.js)
+ * @param {string|null} props.traceId - The W3C trace ID, if the request carried a traceparent
  */
-export default function SSRPage({ serverTime, hostname }) {
+export default function SSRPage({ serverTime, hostname, boot, resources, requestId, traceId }) {
   return (
     <div style={{
       minHeight: '100vh',
@@ -194,6 +216,47 @@ export default function SSRPage({ serverTime, hostname }) {
           </p>
         </div>
 
+        {/* Request ID Display */}
+        <div style={{ marginBottom: '24px' }}>
+          <label style={{
+            display: 'block',
+            fontSize: '0.875rem',
+            fontWeight: '600',
+            color: '#4b5563',
+            marginBottom: '8px',
+            textTransform: 'uppercase',
+            letterSpacing: '0.05em'
+          }}>
+            Request ID:
+          </label>
+          <div style={{
+            backgroundColor: '#f9fafb',
+            border: '1px solid #e5e7eb',
+            borderRadius: '6px',
+            padding: '12px 16px',
+            fontFamily: 'monospace',
+            fontSize: '1.1rem',
+            color: '#111827',
+            wordBreak: 'break-all'
+          }}>
+            {requestId}
+          </div>
+          <p style={{
+            fontSize: '0.85rem',
+            color: '#6b7280',
+            marginTop: '8px',
+            fontStyle: 'italic'
+          }}>
+            🧾 Quote this ID in a ticket - it is in the server logs{traceId ? ` (trace ${traceId})` : ''}
+          </p>
+        </div>
+
+        {/* Cold Start Display */}
+        <ColdStartInfo boot={boot} />
+
+        {/* Container Resources Display */}
+        <ResourceInfo resources={resources} />
+
         {/* Explanation Section */}
         <div style={{
           backgroundColor: '#fffbeb',
@@ -273,7 +336,8 @@ export default function SSRPage({ serverTime, hostname }) {
           <li>Refresh the page multiple times - timestamp should always update</li>
           <li>Verify the hostname is displayed correctly (set HOSTNAME env var in your platform)</li>
           <li>If you have multiple replicas/pods, the hostname should vary between requests</li>
-          <li>Check that the page loads quickly (SSR should be efficient)</li>
+          <li>Check the CPU and memory limits match what you configured (details at <Link href="/diagnostics/resources">/diagnostics/resources</Link>)</li>
+          <li>Check that the page loads quickly: <code>npm run probe -- benchmark &lt;baseUrl&gt;</code> reports p50/p90/p99 latency per replica</li>
         </ol>
       </div>
     </div>
@@ -0,0 +1,317 @@
+/**
+ * WebSocket Upgrade Test Page
+ *
+ * Opens a WebSocket to /ws (served by server.js, see lib/websocket.js) and
+ * shows the serving hostname, round-trip latency and connection lifetime.
+ *
+ * FINDING IDLE TIMEOUTS:
+ * - Set "Ping every" to 0 and leave the socket idle
+ * - When the platform cuts it, the close is recorded below with its code,
+ *   reason, lifetime and how long the socket had been idle
+ * - The close log is kept in localStorage, so repeated runs can be compared
+ *
+ * NOTE: /ws needs the custom server (npm start). `next dev` and
+ * `npm run start:next` do not serve it, so the connection fails there.
+ */
+
+import { useEffect, useRef, useState } from 'react';
+import Link from 'next/link';
+
+const CLOSE_LOG_KEY = 'websocket-probe-close-log';
+const CLOSE_LOG_SIZE = 20;
+
+// Well-known close codes, to make the log readable
+const CLOSE_CODES = {
+  1000: 'Normal closure',
+  1001: 'Going away',
+  1002: 'Protocol error',
+  1006: 'Abnormal closure (no close frame - connection dropped)',
+  1008: 'Policy violation',
+  1009: 'Message too big',
+  1011: 'Server error',
+  1012: 'Service restart',
+  1013: 'Try again later',
+};
+
+/**
+ * Formats a duration in milliseconds as e.g. "1m 05s".
+ */
+function formatElapsed(ms) {
+  const totalSeconds = Math.floor(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return minutes > 0 ? `${minutes}m ${seconds}s` : `${totalSeconds}s`;
+}
+
+function readCloseLog() {
+  try {
+    return JSON.parse(window.localStorage.getItem(CLOSE_LOG_KEY)) || [];
+  } catch (err) {
+    return [];
+  }
+}
+
+/**
+ * WebSocketPage Component - Runs the WebSocket probe in the browser
+ */
+export default function WebSocketPage() {
+  const [pingSeconds, setPingSeconds] = useState(5);
+  const [heartbeatSeconds, setHeartbeatSeconds] = useState(0);
+  const [state, setState] = useState('closed');
+  const [hostname, setHostname] = useState(null);
+  const [openedAt, setOpenedAt] = useState(null);
+  const [rtts, setRtts] = useState([]);
+  const [closeLog, setCloseLog] = useState([]);
+  const [now, setNow] = useState(Date.now());
+
+  const socketRef = useRef(null);
+  const pingTimerRef = useRef(null);
+  const lastMessageAtRef = useRef(null);
+
+  // Load the close log and tick the lifetime display once a second
+  useEffect(() => {
+    setCloseLog(readCloseLog());
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => {
+      clearInterval(timer);
+      clearInterval(pingTimerRef.current);
+      if (socketRef.current) {
+        socketRef.current.close(1000, 'Page closed');
+      }
+    };
+  }, []);
+
+  function recordClose(entry) {
+    const log = [entry].concat(readCloseLog()).slice(0, CLOSE_LOG_SIZE);
+    window.localStorage.setItem(CLOSE_LOG_KEY, JSON.stringify(log));
+    setCloseLog(log);
+  }
+
+  function sendPing() {
+    const socket = socketRef.current;
+    if (socket && socket.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify({ type: 'ping', id: Date.now(), clientSentAt: performance.now() }));
+    }
+  }
+
+  function connect() {
+    const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+    const query = heartbeatSeconds > 0 ? `?heartbeat=${heartbeatSeconds * 1000}` : '';
+    const socket = new WebSocket(`${protocol}//${window.location.host}/ws${query}`);
+    const connectStartedAt = Date.now();
+    let opened = null;
+
+    socketRef.current = socket;
+    setState('connecting');
+    setHostname(null);
+    setRtts([]);
+
+    socket.onopen = () => {
+      opened = Date.now();
+      lastMessageAtRef.current = opened;
+      setOpenedAt(opened);
+      setState('open');
+
+      if (pingSeconds > 0) {
+        pingTimerRef.current = setInterval(sendPing, pingSeconds * 1000);
+        sendPing();
+      }
+    };
+
+    socket.onmessage = (event) => {
+      lastMessageAtRef.current = Date.now();
+      const message = JSON.parse(event.data);
+
+      if (message.type === 'hello') {
+        setHostname(message.hostname);
+      } else if (message.type === 'pong') {
+        setRtts((previous) => previous.concat(Math.round(performance.now() - message.clientSentAt)).slice(-50));
+      }
+    };
+
+    socket.onclose = (event) => {
+      clearInterval(pingTimerRef.current);
+      setState('closed');
+
+      const closedAt = Date.now();
+      recordClose({
+        closedAt: new Date(closedAt).toISOString(),
+        code: event.code,
+        reason: event.reason || CLOSE_CODES[event.code] || '',
+        wasClean: event.wasClean,
+        // A socket that never opened failed the Upgrade handshake
+        handshakeFailed: opened === null,
+        lifetimeMs: opened ? closedAt - opened : closedAt - connectStartedAt,
+        idleMs: lastMessageAtRef.current ? closedAt - lastMessageAtRef.current : null,
+        pingSeconds: pingSeconds,
+      });
+    };
+  }
+
+  function disconnect() {
+    if (socketRef.current) {
+      socketRef.current.close(1000, 'Closed by user');
+    }
+  }
+
+  const lastRtt = rtts.length > 0 ? rtts[rtts.length - 1] : null;
+  const averageRtt = rtts.length > 0 ? Math.round(rtts.reduce((sum, rtt) => sum + rtt, 0) / rtts.length) : null;
+
+  const statStyle = {
+    flex: '1',
+    backgroundColor: '#f9fafb',
+    border: '1px solid #e5e7eb',
+    borderRadius: '6px',
+    padding: '12px',
+    textAlign: 'center'
+  };
+
+  return (
+    <div style={{
+      minHeight: '100vh',
+      display: 'flex',
+      flexDirection: 'column',
+      alignItems: 'center',
+      justifyContent: 'center',
+      backgroundColor: '#ecfeff',
+      fontFamily: 'system-ui, -apple-system, sans-serif',
+      padding: '20px'
+    }}>
+      {/* Header Section */}
+      <div style={{
+        backgroundColor: '#0891b2',
+        color: 'white',
+        padding: '16px 32px',
+        borderRadius: '8px',
+        marginBottom: '2rem'
+      }}>
+        <h1 style={{ margin: 0, fontSize: '2rem' }}>
+          WebSocket Test
+        </h1>
+      </div>
+
+      {/* Main Content Card */}
+      <div style={{
+        backgroundColor: 'white',
+        padding: '40px',
+        borderRadius: '12px',
+        boxShadow: '0 4px 6px rgba(0,0,0,0.1)',
+        maxWidth: '700px',
+        width: '100%'
+      }}>
+        {/* Connection Settings */}
+        <div style={{ display: 'flex', gap: '12px', alignItems: 'center', flexWrap: 'wrap', marginBottom: '24px' }}>
+          <label style={{ fontSize: '0.9rem', color: '#4b5563' }}>
+            Ping every (s){' '}
+            <input
+              type="number"
+              min="0"
+              value={pingSeconds}
+              disabled={state !== 'closed'}
+              onChange={(event) => setPingSeconds(Number(event.target.value))}
+              style={{ width: '70px', padding: '6px 8px', border: '1px solid #d1d5db', borderRadius: '6px' }}
+            />
+          </label>
+          <label style={{ fontSize: '0.9rem', color: '#4b5563' }}>
+            Server heartbeat (s){' '}
+            <input
+              type="number"
+              min="0"
+              value={heartbeatSeconds}
+              disabled={state !== 'closed'}
+              onChange={(event) => setHeartbeatSeconds(Number(event.target.value))}
+              style={{ width: '70px', padding: '6px 8px', border: '1px solid #d1d5db', borderRadius: '6px' }}
+            />
+          </label>
+          <button
+            onClick={state === 'closed' ? connect : disconnect}
+            style={{
+              marginLeft: 'auto',
+              padding: '8px 16px',
+              backgroundColor: state === 'closed' ? '#0891b2' : '#6b7280',
+              color: 'white',
+              border: 'none',
+              borderRadius: '6px',
+              fontWeight: '600',
+              cursor: 'pointer'
+            }}
+          >
+            {state === 'closed' ? 'Connect' : 'Disconnect'}
+          </button>
+        </div>
+
+        {/* Live Stats */}
+        <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap', marginBottom: '24px' }}>
+          <div style={statStyle}>
+            <div style={{ fontSize: '0.75rem', color: '#6b7280', textTransform: 'uppercase' }}>State</div>
+            <div style={{ fontFamily: 'monospace', fontSize: '1.1rem' }}>{state}</div>
+          </div>
+          <div style={statStyle}>
+            <div style={{ fontSize: '0.75rem', color: '#6b7280', textTransform: 'uppercase' }}>Lifetime</div>
+            <div style={{ fontFamily: 'monospace', fontSize: '1.1rem' }}>
+              {state === 'open' && openedAt ? formatElapsed(now - openedAt) : '-'}
+            </div>
+          </div>
+          <div style={statStyle}>
+            <div style={{ fontSize: '0.75rem', color: '#6b7280', textTransform: 'uppercase' }}>RTT (last / avg)</div>
+            <div style={{ fontFamily: 'monospace', fontSize: '1.1rem' }}>
+              {lastRtt === null ? '-' : `${lastRtt} / ${averageRtt} ms`}
+            </div>
+          </div>
+        </div>
+
+        <div style={{ marginBottom: '24px', fontSize: '0.9rem', color: '#4b5563' }}>
+          <strong>Serving hostname:</strong> <code>{hostname || '-'}</code>
+        </div>
+
+        {/* Close Log */}
+        <h3 style={{ fontSize: '1rem', color: '#333', margin: '0 0 8px 0' }}>Connection Close Log</h3>
+        {closeLog.length === 0 ? (
+          <p style={{ fontSize: '0.85rem', color: '#6b7280' }}>No closed connections recorded yet.</p>
+        ) : (
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.8rem' }}>
+            <thead>
+              <tr style={{ textAlign: 'left', color: '#4b5563', borderBottom: '1px solid #e5e7eb' }}>
+                <th style={{ padding: '6px' }}>Closed At</th>
+                <th style={{ padding: '6px' }}>Code / Reason</th>
+                <th style={{ padding: '6px' }}>Lifetime</th>
+                <th style={{ padding: '6px' }}>Idle</th>
+              </tr>
+            </thead>
+            <tbody>
+              {closeLog.map((entry) => (
+                <tr key={entry.closedAt} style={{ borderBottom: '1px solid #f3f4f6' }}>
+                  <td style={{ padding: '6px', fontFamily: 'monospace' }}>{entry.closedAt}</td>
+                  <td style={{ padding: '6px' }}>
+                    <code>{entry.code}</code> {entry.handshakeFailed ? 'Upgrade handshake failed' : entry.reason}
+                    {!entry.wasClean && ' ⚠️'}
+                  </td>
+                  <td style={{ padding: '6px', fontFamily: 'monospace' }}>{formatElapsed(entry.lifetimeMs)}</td>
+                  <td style={{ padding: '6px', fontFamily: 'monospace' }}>
+                    {entry.idleMs === null ? '-' : formatElapsed(entry.idleMs)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        {/* Navigation */}
+        <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap', marginTop: '24px' }}>
+          <Link href="/" style={{
+            flex: '1',
+            padding: '12px 24px',
+            backgroundColor: '#6b7280',
+            color: 'white',
+            textDecoration: 'none',
+            borderRadius: '6px',
+            textAlign: 'center',
+            fontWeight: '500'
+          }}>
+            ← Back to Home
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+}
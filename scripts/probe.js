@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+/**
+ * Probe CLI - Runs probe checks against a deployed app
+ *
+ * USAGE:
+ *   npm run probe -- <command> <baseUrl> [options]
+ *   npm run probe -- check https://probe.example.com
+ *   npm run probe -- distribution https://probe.example.com --expected 3
+ *   npm run probe -- consistency https://probe.example.com --secret "$REVALIDATE_SECRET"
+ *   npm run probe -- benchmark https://probe.example.com --duration 30 --concurrency 20
+ *
+ * Every command prints its results, writes <command>.json and
+ * <command>.junit.xml to --out-dir (default: probe-reports), and exits with
+ * code 1 when a check fails (2 for usage errors).
+ */
+
+const { parseArgs } = require('util');
+const { buildReport, printResults, writeReports } = require('./probe/report');
+const { validateNumericOptions } = require('./probe/options');
+
+const COMMANDS = {
+  check: require('./probe/check'),
+  distribution: require('./probe/distribution'),
+  consistency: require('./probe/consistency'),
+  benchmark: require('./probe/benchmark'),
+};
+
+const COMMON_OPTIONS = {
+  'out-dir': { type: 'string', default: 'probe-reports' },
+  help: { type: 'boolean', short: 'h', default: false },
+};
+
+function printUsage() {
+  console.log('Usage: npm run probe -- <command> <baseUrl> [options]\n');
+  console.log('Commands:');
+  for (const command of Object.values(COMMANDS)) {
+    console.log(`  ${command.usage.split('\n').join('\n  ')}\n`);
+  }
+  console.log('Common options:\n  --out-dir DIR       Where to write the JSON and JUnit reports (default probe-reports)');
+}
+
+async function main(argv) {
+  const commandName = argv[0];
+  const command = COMMANDS[commandName];
+
+  if (!command) {
+    printUsage();
+    return commandName && commandName !== '--help' && commandName !== '-h' ? 2 : 0;
+  }
+
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv.slice(1),
+      options: { ...COMMON_OPTIONS, ...command.options },
+      allowPositionals: true,
+    });
+  } catch (err) {
+    console.error(err.message);
+    return 2;
+  }
+
+  const baseUrl = parsed.positionals[0];
+  if (parsed.values.help || !baseUrl) {
+    printUsage();
+    return parsed.values.help ? 0 : 2;
+  }
+
+  const problems = validateNumericOptions(parsed.values, command.numericOptions);
+  if (problems.length > 0) {
+    console.error(`${problems.join('\n')}\n\nUsage: npm run probe -- ${command.usage}`);
+    return 2;
+  }
+
+  const startedAt = Date.now();
+  console.log(`Running "${commandName}" against ${baseUrl}\n`);
+
+  const { results, ...extra } = await command.run(baseUrl, parsed.values);
+  const report = buildReport(commandName, baseUrl, startedAt, results, extra);
+
+  printResults(results);
+  const files = writeReports(parsed.values['out-dir'], report);
+  console.log(`Reports written to ${files.join(', ')}`);
+
+  return report.summary.failed > 0 ? 1 : 0;
+}
+
+main(process.argv.slice(2)).then(
+  (code) => {
+    process.exitCode = code;
+  },
+  (err) => {
+    console.error(err);
+    process.exitCode = 2;
+  }
+);
@@ -0,0 +1,286 @@
+/**
+ * `benchmark` Command - Measures latency and throughput per route and replica
+ *
+ * Keeps --concurrency requests in flight for --duration seconds, cycling
+ * through --paths (default /, /ssr and /isr), and reports p50/p90/p99
+ * latency, throughput and error counts per route, overall and per hostname.
+ *
+ * The hostname comes from the x-probe-hostname header set by middleware.js,
+ * so it names the replica that SERVED the response (for ISR pages, the
+ * hostname in the page is the one that rendered it, which may differ).
+ *
+ * COMPARING DEPLOYS:
+ *   npm run probe -- benchmark https://old.example.com --out-dir reports/old
+ *   npm run probe -- benchmark https://new.example.com --baseline reports/old/benchmark.json
+ * A route fails when its p90 is more than --max-regression percent above the
+ * baseline, or above --max-p90 milliseconds.
+ */
+
+const fs = require('fs');
+const { fetchTimed } = require('./http');
+const { HOSTNAME_HEADER } = require('../../lib/middleware-probe');
+
+const options = {
+  duration: { type: 'string', default: '10' },
+  concurrency: { type: 'string', default: '10' },
+  paths: { type: 'string', default: '/,/ssr,/isr' },
+  'max-p90': { type: 'string' },
+  baseline: { type: 'string' },
+  'max-regression': { type: 'string', default: '20' },
+};
+
+const numericOptions = {
+  duration: { min: 1 },
+  concurrency: { min: 1, integer: true },
+  'max-p90': { min: 0 },
+  'max-regression': { min: 0 },
+};
+
+const usage = `benchmark <baseUrl> [--duration S] [--concurrency N] [--paths LIST] [--max-p90 MS] [--baseline FILE] [--max-regression PCT]
+
+  --duration S        How long to send requests for, in seconds (default 10)
+  --concurrency N     Requests in flight at once (default 10)
+  --paths LIST        Comma-separated paths to benchmark (default /,/ssr,/isr)
+  --max-p90 MS        Fail routes whose p90 latency is above this
+  --baseline FILE     benchmark.json from an earlier run to compare against
+  --max-regression PCT  Fail routes whose p90 grew by more than this vs the baseline (default 20)`;
+
+// Shown when the response has no x-probe-hostname header (e.g. hello.js)
+const UNKNOWN_HOSTNAME = '(unknown)';
+
+/**
+ * percentile - The value below which the given share of samples fall
+ *
+ * Uses the nearest-rank method on a sorted copy.
+ *
+ * @param {Array<number>} values - The samples
+ * @param {number} p - The percentile, 0-100
+ * @returns {number|null} The percentile, or null when there are no samples
+ */
+function percentile(values, p) {
+  if (values.length === 0) {
+    return null;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.max(rank - 1, 0)];
+}
+
+/**
+ * summarizeSamples - Latency percentiles, throughput and errors for a set of requests
+ *
+ * @param {Array<object>} samples - { durationMs, error } per request
+ * @param {number} elapsedSeconds - How long the benchmark ran
+ * @returns {object} { requests, errors, throughput, p50, p90, p99, max }
+ */
+function summarizeSamples(samples, elapsedSeconds) {
+  const latencies = samples.filter((sample) => !sample.error).map((sample) => sample.durationMs);
+
+  return {
+    requests: samples.length,
+    errors: samples.length - latencies.length,
+    throughput: Math.round((samples.length / elapsedSeconds) * 10) / 10,
+    p50: percentile(latencies, 50),
+    p90: percentile(latencies, 90),
+    p99: percentile(latencies, 99),
+    max: latencies.length > 0 ? Math.max(...latencies) : null,
+  };
+}
+
+/**
+ * Groups samples by a key, e.g. the hostname.
+ */
+function groupBy(samples, key) {
+  const groups = {};
+  for (const sample of samples) {
+    (groups[sample[key]] = groups[sample[key]] || []).push(sample);
+  }
+  return groups;
+}
+
+/**
+ * Sends one request and records its latency, status and serving hostname.
+ */
+async function sample(baseUrl, path) {
+  try {
+    const response = await fetchTimed(baseUrl, path, { cache: 'no-store' });
+    return {
+      path: path,
+      status: response.status,
+      durationMs: response.durationMs,
+      hostname: response.headers.get(HOSTNAME_HEADER) || UNKNOWN_HOSTNAME,
+      error: response.status >= 400 ? `HTTP ${response.status}` : null,
+    };
+  } catch (err) {
+    return { path: path, status: null, durationMs: null, hostname: UNKNOWN_HOSTNAME, error: err.message };
+  }
+}
+
+/**
+ * Runs `concurrency` workers that cycle through the paths until the deadline.
+ */
+async function runForDuration(baseUrl, paths, concurrency, durationMs) {
+  const samples = [];
+  const deadline = Date.now() + durationMs;
+  let next = 0;
+
+  async function worker() {
+    while (Date.now() < deadline) {
+      samples.push(await sample(baseUrl, paths[next++ % paths.length]));
+    }
+  }
+
+  const workers = [];
+  for (let i = 0; i < concurrency; i++) {
+    workers.push(worker());
+  }
+  await Promise.all(workers);
+
+  return samples;
+}
+
+/**
+ * Reads the per-route stats of an earlier run, or throws with a readable message.
+ */
+function loadBaseline(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8')).routes;
+  } catch (err) {
+    throw new Error(`Could not read baseline ${file}: ${err.message}`);
+  }
+}
+
+/**
+ * Formats a latency for the table.
+ */
+function ms(value) {
+  return value === null ? '-' : `${Math.round(value)}ms`;
+}
+
+/**
+ * Prints one table row per route and per hostname within it.
+ */
+function printTable(routes) {
+  const header = ['route / hostname', 'requests', 'errors', 'req/s', 'p50', 'p90', 'p99'];
+  const rows = [];
+  for (const [path, route] of Object.entries(routes)) {
+    rows.push([path, route.requests, route.errors, route.throughput, ms(route.p50), ms(route.p90), ms(route.p99)]);
+    for (const [hostname, stats] of Object.entries(route.hostnames)) {
+      rows.push([`  ${hostname}`, stats.requests, stats.errors, stats.throughput, ms(stats.p50), ms(stats.p90), ms(stats.p99)]);
+    }
+  }
+
+  const widths = header.map((title, column) => Math.max(title.length, ...rows.map((row) => String(row[column]).length)));
+  const format = (row) => row.map((cell, column) => (column === 0 ? String(cell).padEnd(widths[column]) : String(cell).padStart(widths[column]))).join('  ');
+
+  console.log(`  ${format(header)}`);
+  for (const row of rows) {
+    console.log(`  ${format(row)}`);
+  }
+  console.log('');
+}
+
+/**
+ * Builds the pass/fail result for one route's latency.
+ */
+function checkRoute(path, route, maxP90, baselineRoute, maxRegression) {
+  if (!route) {
+    return {
+      name: `latency ${path}`,
+      description: `${path} is not slower than the thresholds`,
+      status: 'skipped',
+      durationMs: 0,
+      message: 'Skipped: no requests were sent to this route, try a longer --duration',
+    };
+  }
+
+  const problems = [];
+  const notes = [];
+
+  if (maxP90 !== null && route.p90 !== null && route.p90 > maxP90) {
+    problems.push(`p90 ${ms(route.p90)} is above --max-p90 ${ms(maxP90)}`);
+  }
+
+  if (baselineRoute && baselineRoute.p90 && route.p90 !== null) {
+    const change = Math.round(((route.p90 - baselineRoute.p90) / baselineRoute.p90) * 1000) / 10;
+    const comparison = `p90 ${ms(route.p90)} vs baseline ${ms(baselineRoute.p90)} (${change >= 0 ? '+' : ''}${change}%)`;
+    if (change > maxRegression) {
+      problems.push(`${comparison}, more than ${maxRegression}% slower`);
+    } else {
+      notes.push(comparison);
+    }
+  }
+
+  return {
+    name: `latency ${path}`,
+    description: `${path} is not slower than the thresholds`,
+    status: problems.length > 0 ? 'failed' : 'passed',
+    durationMs: 0,
+    message: problems.length > 0
+      ? problems.join('; ')
+      : notes.concat(`p50 ${ms(route.p50)}, p90 ${ms(route.p90)}, p99 ${ms(route.p99)}`).join('; '),
+    details: { route: route, baseline: baselineRoute || undefined },
+  };
+}
+
+async function run(baseUrl, values) {
+  const paths = values.paths.split(',').map((path) => path.trim()).filter(Boolean);
+  const durationSeconds = Number(values.duration);
+  const concurrency = Number(values.concurrency);
+  const maxP90 = values['max-p90'] ? Number(values['max-p90']) : null;
+  const maxRegression = Number(values['max-regression']);
+  const baseline = values.baseline ? loadBaseline(values.baseline) : null;
+
+  // One untimed request per route, so the first samples don't include cold caches
+  await Promise.all(paths.map((path) => sample(baseUrl, path)));
+
+  const startedAt = Date.now();
+  const samples = await runForDuration(baseUrl, paths, concurrency, durationSeconds * 1000);
+  const elapsedSeconds = (Date.now() - startedAt) / 1000;
+
+  const routes = {};
+  for (const [path, routeSamples] of Object.entries(groupBy(samples, 'path'))) {
+    const hostnames = {};
+    for (const [hostname, hostSamples] of Object.entries(groupBy(routeSamples, 'hostname'))) {
+      hostnames[hostname] = summarizeSamples(hostSamples, elapsedSeconds);
+    }
+    routes[path] = { ...summarizeSamples(routeSamples, elapsedSeconds), hostnames: hostnames };
+  }
+
+  const hostnames = {};
+  for (const [hostname, hostSamples] of Object.entries(groupBy(samples, 'hostname'))) {
+    hostnames[hostname] = summarizeSamples(hostSamples, elapsedSeconds);
+  }
+  const overall = summarizeSamples(samples, elapsedSeconds);
+
+  printTable({ ...routes, 'all routes': { ...overall, hostnames: hostnames } });
+
+  const errors = samples.filter((entry) => entry.error);
+  const results = [
+    {
+      name: 'requests-succeeded',
+      description: 'Every benchmark request succeeded',
+      status: errors.length === 0 ? 'passed' : 'failed',
+      durationMs: Math.round(elapsedSeconds * 1000),
+      message: `${overall.requests - overall.errors} of ${overall.requests} requests succeeded, ${overall.throughput} req/s overall`,
+      details: errors.length > 0 ? { firstErrors: errors.slice(0, 5).map((entry) => `${entry.path}: ${entry.error}`) } : undefined,
+    },
+    ...paths.map((path) => checkRoute(path, routes[path], maxP90, baseline && baseline[path], maxRegression)),
+  ];
+
+  return {
+    results: results,
+    durationSeconds: durationSeconds,
+    concurrency: concurrency,
+    overall: overall,
+    routes: routes,
+    hostnames: hostnames,
+  };
+}
+
+module.exports = {
+  options,
+  numericOptions,
+  usage,
+  run,
+};
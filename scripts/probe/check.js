@@ -0,0 +1,231 @@
+/**
+ * `check` Command - Automates the SSR/ISR "Testing Checklist" steps
+ *
+ * Runs the manual refresh-and-compare steps from pages/ssr.js and
+ * pages/isr.js against a deployed app:
+ *
+ * 1. ssr-fresh-per-request: the SSR timestamp changes on every request
+ * 2. isr-stable-in-window: the ISR timestamp stays the same inside the window
+ * 3. isr-stale-after-expiry: the first request after expiry still gets the old page
+ * 4. isr-fresh-after-regeneration: the next request gets a newly generated page
+ *
+ * NOTE: The ISR checks assume nobody else is hitting /isr during the run and
+ * that one replica answers (or the replicas share an ISR cache). Otherwise
+ * another visitor may trigger the regeneration before the probe does.
+ */
+
+const { fetchPageProps, sleep } = require('./http');
+
+const options = {
+  requests: { type: 'string', default: '3' },
+  'max-wait': { type: 'string', default: '120' },
+};
+
+const numericOptions = {
+  requests: { min: 2, integer: true },
+  'max-wait': { min: 0 },
+};
+
+const usage = `check <baseUrl> [--requests N] [--max-wait SECONDS]
+
+  --requests N        SSR requests to compare, at least 2 (default 3)
+  --max-wait SECONDS  Skip the expiry checks if the ISR window is longer (default 120)`;
+
+// Extra time to wait past the revalidate window, and for a regeneration to finish
+const EXPIRY_MARGIN_MS = 1000;
+const REGENERATION_WAIT_MS = 1500;
+
+// How many back-to-back request pairs to try when checking ISR stability, and
+// the pause between them (kept short so it fits inside a 1-second window)
+const STABLE_ATTEMPTS = 5;
+const STABLE_RETRY_WAIT_MS = 200;
+
+/**
+ * runCheck - Runs one check, timing it and turning exceptions into failures
+ *
+ * @param {string} name - The check name used in reports
+ * @param {string} description - What the check verifies
+ * @param {Function} fn - Async function returning { status, message, details }
+ * @returns {Promise<object>} The check result
+ */
+async function runCheck(name, description, fn) {
+  const startedAt = Date.now();
+  let outcome;
+
+  try {
+    outcome = await fn();
+  } catch (err) {
+    outcome = { status: 'failed', message: err.message };
+  }
+
+  return { name: name, description: description, durationMs: Date.now() - startedAt, ...outcome };
+}
+
+/**
+ * Builds a skipped result for checks that depend on an earlier failure.
+ */
+function skipped(name, description, message) {
+  return { name: name, description: description, status: 'skipped', durationMs: 0, message: message };
+}
+
+/**
+ * Summarizes one ISR sample for the report details.
+ */
+function describeSample(sample) {
+  return {
+    renderTime: sample.props.renderTime,
+    hostname: sample.props.hostname,
+    cache: sample.headers.get('x-nextjs-cache'),
+    durationMs: sample.durationMs,
+  };
+}
+
+/**
+ * Whether a sample was already past its revalidate window when it was served
+ *
+ * Uses the x-nextjs-cache header (HIT / STALE / MISS) when the platform passes
+ * it through. Otherwise compares the server's Date header with renderTime, so
+ * only the server clock is involved; Date has one-second resolution, which is
+ * too coarse for very short windows.
+ */
+function isExpired(sample, revalidateSeconds) {
+  const cacheState = sample.headers.get('x-nextjs-cache');
+  if (cacheState) {
+    return cacheState.toUpperCase() === 'STALE';
+  }
+
+  const served = Date.parse(sample.headers.get('date'));
+  if (Number.isNaN(served)) {
+    return false;
+  }
+  return served - Date.parse(sample.props.renderTime) >= revalidateSeconds * 1000;
+}
+
+async function run(baseUrl, values) {
+  const requestCount = Number(values.requests);
+  const maxWaitSeconds = Number(values['max-wait']);
+  const results = [];
+
+  results.push(await runCheck(
+    'ssr-fresh-per-request',
+    'The SSR timestamp changes on every request',
+    async () => {
+      const samples = [];
+      for (let i = 0; i < requestCount; i++) {
+        samples.push(await fetchPageProps(baseUrl, '/ssr'));
+        await sleep(50);
+      }
+
+      const times = samples.map((sample) => sample.props.serverTime);
+      const unique = new Set(times).size;
+      return {
+        status: unique === times.length ? 'passed' : 'failed',
+        message: `${unique} distinct serverTime values in ${times.length} requests`,
+        details: { serverTimes: times, hostnames: samples.map((sample) => sample.props.hostname) },
+      };
+    }
+  ));
+
+  // Shared between the ISR checks, which build on each other
+  let revalidateSeconds = null;
+  let lastSample = null;
+
+  results.push(await runCheck(
+    'isr-stable-in-window',
+    'The ISR timestamp stays the same inside the revalidate window',
+    async () => {
+      // A request right after expiry triggers a regeneration, so a single pair
+      // can legitimately differ, or match while both are still the stale page.
+      // Retry a few pairs - a platform that never caches /isr fails every one.
+      const pairs = [];
+      for (let attempt = 0; attempt < STABLE_ATTEMPTS; attempt++) {
+        const first = await fetchPageProps(baseUrl, '/isr');
+        const second = await fetchPageProps(baseUrl, '/isr');
+        revalidateSeconds = first.props.revalidateSeconds;
+        pairs.push([describeSample(first), describeSample(second)]);
+
+        const same = first.props.renderTime === second.props.renderTime;
+        if (same && !isExpired(second, revalidateSeconds)) {
+          lastSample = second;
+          return {
+            status: 'passed',
+            message: `renderTime stayed ${first.props.renderTime}`,
+            details: { revalidateSeconds: revalidateSeconds, pairs: pairs },
+          };
+        }
+        await sleep(STABLE_RETRY_WAIT_MS);
+      }
+
+      return {
+        status: 'failed',
+        message: `No back-to-back requests got the same, unexpired renderTime in ${STABLE_ATTEMPTS} attempts`,
+        details: { revalidateSeconds: revalidateSeconds, pairs: pairs },
+      };
+    }
+  ));
+
+  const staleName = 'isr-stale-after-expiry';
+  const staleDescription = 'The first request after the window expires still gets the stale page';
+  const freshName = 'isr-fresh-after-regeneration';
+  const freshDescription = 'The request after that gets a newly generated page';
+
+  if (!lastSample) {
+    results.push(skipped(staleName, staleDescription, 'Skipped: no stable ISR sample to compare against'));
+    results.push(skipped(freshName, freshDescription, 'Skipped: no stable ISR sample to compare against'));
+    return { results: results, revalidateSeconds: revalidateSeconds };
+  }
+
+  if (revalidateSeconds > maxWaitSeconds) {
+    const message = `Skipped: revalidate window (${revalidateSeconds}s) is longer than --max-wait (${maxWaitSeconds}s)`;
+    results.push(skipped(staleName, staleDescription, message));
+    results.push(skipped(freshName, freshDescription, message));
+    return { results: results, revalidateSeconds: revalidateSeconds };
+  }
+
+  let staleSample = null;
+
+  results.push(await runCheck(staleName, staleDescription, async () => {
+    // The sampled page was generated before it was fetched, so waiting a full
+    // window from now guarantees it has expired (without comparing clocks)
+    await sleep(revalidateSeconds * 1000 + EXPIRY_MARGIN_MS);
+
+    staleSample = await fetchPageProps(baseUrl, '/isr');
+    const stale = staleSample.props.renderTime === lastSample.props.renderTime;
+    return {
+      status: stale ? 'passed' : 'failed',
+      message: stale
+        ? `Got the stale renderTime ${staleSample.props.renderTime} once after expiry`
+        : `Expected stale renderTime ${lastSample.props.renderTime}, got ${staleSample.props.renderTime}`,
+      details: { before: describeSample(lastSample), afterExpiry: describeSample(staleSample) },
+    };
+  }));
+
+  if (!staleSample) {
+    results.push(skipped(freshName, freshDescription, 'Skipped: the post-expiry request failed'));
+    return { results: results, revalidateSeconds: revalidateSeconds };
+  }
+
+  results.push(await runCheck(freshName, freshDescription, async () => {
+    // Give the background regeneration time to finish
+    await sleep(REGENERATION_WAIT_MS);
+
+    const freshSample = await fetchPageProps(baseUrl, '/isr');
+    const fresh = Date.parse(freshSample.props.renderTime) > Date.parse(staleSample.props.renderTime);
+    return {
+      status: fresh ? 'passed' : 'failed',
+      message: fresh
+        ? `Got the regenerated renderTime ${freshSample.props.renderTime}`
+        : `renderTime did not advance past ${staleSample.props.renderTime}`,
+      details: { afterExpiry: describeSample(staleSample), regenerated: describeSample(freshSample) },
+    };
+  }));
+
+  return { results: results, revalidateSeconds: revalidateSeconds };
+}
+
+module.exports = {
+  options,
+  numericOptions,
+  usage,
+  run,
+};
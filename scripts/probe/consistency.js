@@ -0,0 +1,215 @@
+/**
+ * `consistency` Command - Checks that replicas serve the same ISR generation
+ *
+ * With several pods behind a load balancer, each pod may keep its own ISR
+ * cache, so visitors see different renderTime values for /isr depending on
+ * which pod answers. This command samples /isr many times in a row and
+ * records (hostname, renderTime) pairs:
+ *
+ * 1. isr-single-generation: all samples show one generation, or one clean
+ *    switch from the old generation to the new one. Generations that
+ *    alternate between samples mean the replicas have separate caches.
+ * 2. isr-generation-spread: generations served side by side are at most one
+ *    revalidate window apart. A clean switch from a stale generation to its
+ *    replacement is not counted, however old the stale one was.
+ * 3. isr-on-demand-propagation (with --secret): after POST /api/revalidate
+ *    lands on one pod, every following sample shows that generation or newer.
+ *
+ * The hostname in the ISR props is the pod that GENERATED the page. The pod
+ * that SERVED it is read from the x-probe-hostname response header, which
+ * middleware.js sets, when the platform lets it through (null otherwise).
+ */
+
+const { fetchPageProps, fetchTimed, sleep } = require('./http');
+
+const options = {
+  samples: { type: 'string', default: '30' },
+  secret: { type: 'string' },
+  'propagation-wait': { type: 'string', default: '2' },
+};
+
+const numericOptions = {
+  samples: { min: 2, integer: true },
+  'propagation-wait': { min: 0 },
+};
+
+const usage = `consistency <baseUrl> [--samples N] [--secret SECRET] [--propagation-wait SECONDS]
+
+  --samples N                  /isr requests per sampling round, at least 2 (default 30)
+  --secret SECRET              REVALIDATE_SECRET, enables the on-demand propagation check
+  --propagation-wait SECONDS   Pause between revalidating and re-sampling (default 2)`;
+
+/**
+ * Requests /isr `count` times in a row and returns the samples in order.
+ */
+async function sampleIsr(baseUrl, count) {
+  const samples = [];
+  for (let i = 0; i < count; i++) {
+    const response = await fetchPageProps(baseUrl, '/isr');
+    samples.push({
+      renderTime: response.props.renderTime,
+      generatedBy: response.props.hostname,
+      servedBy: response.headers.get('x-probe-hostname'),
+      revalidateSeconds: response.props.revalidateSeconds,
+    });
+  }
+  return samples;
+}
+
+/**
+ * analyzeSamples - Groups samples by generation and counts generation switches
+ *
+ * @param {Array<object>} samples - Samples in request order
+ * @returns {object} { generations, switches, spreadMs }
+ */
+function analyzeSamples(samples) {
+  const generations = new Map();
+  let switches = 0;
+
+  samples.forEach((sample, index) => {
+    if (index > 0 && sample.renderTime !== samples[index - 1].renderTime) {
+      switches++;
+    }
+
+    const generation = generations.get(sample.renderTime) || {
+      renderTime: sample.renderTime,
+      generatedBy: sample.generatedBy,
+      count: 0,
+      servedBy: [],
+    };
+    generation.count++;
+    if (sample.servedBy && !generation.servedBy.includes(sample.servedBy)) {
+      generation.servedBy.push(sample.servedBy);
+    }
+    generations.set(sample.renderTime, generation);
+  });
+
+  const times = Array.from(generations.keys()).map((renderTime) => Date.parse(renderTime));
+  return {
+    generations: Array.from(generations.values()).sort((a, b) => a.renderTime.localeCompare(b.renderTime)),
+    switches: switches,
+    spreadMs: times.length > 0 ? Math.max(...times) - Math.min(...times) : 0,
+  };
+}
+
+/**
+ * Prints one line per generation seen.
+ */
+function printGenerations(title, analysis) {
+  console.log(`${title}:`);
+  for (const generation of analysis.generations) {
+    const servedBy = generation.servedBy.length > 0 ? `, served by ${generation.servedBy.join(', ')}` : '';
+    console.log(`  ${generation.renderTime}  generated by ${generation.generatedBy}  ${generation.count} samples${servedBy}`);
+  }
+  console.log(`  ${analysis.switches} generation switches, spread ${analysis.spreadMs} ms\n`);
+}
+
+async function run(baseUrl, values) {
+  const sampleCount = Number(values.samples);
+  const results = [];
+
+  let startedAt = Date.now();
+  const samples = await sampleIsr(baseUrl, sampleCount);
+  const analysis = analyzeSamples(samples);
+  const revalidateSeconds = samples[0].revalidateSeconds;
+  const sampleDurationMs = Date.now() - startedAt;
+
+  printGenerations('Generations seen', analysis);
+
+  // One generation, or a single clean switch to a newer one while sampling
+  const consistent = analysis.generations.length === 1 ||
+    (analysis.generations.length === 2 && analysis.switches === 1);
+  results.push({
+    name: 'isr-single-generation',
+    description: 'All replicas serve the same ISR generation',
+    status: consistent ? 'passed' : 'failed',
+    durationMs: sampleDurationMs,
+    message: consistent
+      ? `${analysis.generations.length} generation(s), ${analysis.switches} switch(es) in ${sampleCount} samples`
+      : `${analysis.generations.length} generations alternating ${analysis.switches} times in ${sampleCount} samples - replicas appear to have separate ISR caches`,
+    details: analysis,
+  });
+
+  const withinWindow = consistent || analysis.spreadMs <= revalidateSeconds * 1000;
+  results.push({
+    name: 'isr-generation-spread',
+    description: 'Generations served side by side are at most one revalidate window apart',
+    status: withinWindow ? 'passed' : 'failed',
+    durationMs: 0,
+    message: consistent && analysis.generations.length === 2
+      ? `Clean switch to a generation ${analysis.spreadMs} ms newer`
+      : `Generations are ${analysis.spreadMs} ms apart (window ${revalidateSeconds * 1000} ms)`,
+  });
+
+  const propagationName = 'isr-on-demand-propagation';
+  const propagationDescription = 'On-demand revalidation on one pod reaches every replica';
+
+  if (!values.secret) {
+    results.push({
+      name: propagationName,
+      description: propagationDescription,
+      status: 'skipped',
+      durationMs: 0,
+      message: 'Skipped: pass --secret to test on-demand revalidation',
+    });
+    return { results: results, revalidateSeconds: revalidateSeconds, samples: samples };
+  }
+
+  startedAt = Date.now();
+  const revalidation = await fetchTimed(baseUrl, '/api/revalidate?path=/isr', {
+    method: 'POST',
+    headers: { 'x-revalidate-secret': values.secret },
+  });
+  // A 404 page or a proxy error page is not JSON
+  let revalidationBody = null;
+  try {
+    revalidationBody = JSON.parse(revalidation.body);
+  } catch (err) {
+    // Reported below as a failed check
+  }
+  const revalidated = revalidationBody && revalidationBody.results && revalidationBody.results[0];
+
+  if (revalidation.status !== 200 || !revalidated || !revalidated.renderTime) {
+    results.push({
+      name: propagationName,
+      description: propagationDescription,
+      status: 'failed',
+      durationMs: Date.now() - startedAt,
+      message: !revalidationBody
+        ? `POST /api/revalidate returned HTTP ${revalidation.status} without a JSON body`
+        : revalidation.status === 200 && revalidated
+          ? 'POST /api/revalidate did not report a new generation of /isr'
+          : `POST /api/revalidate failed with HTTP ${revalidation.status}`,
+      details: revalidationBody || { body: revalidation.body.slice(0, 500) },
+    });
+    return { results: results, revalidateSeconds: revalidateSeconds, samples: samples };
+  }
+
+  await sleep(Number(values['propagation-wait']) * 1000);
+
+  const afterSamples = await sampleIsr(baseUrl, sampleCount);
+  const afterAnalysis = analyzeSamples(afterSamples);
+  const outdated = afterSamples.filter((sample) => Date.parse(sample.renderTime) < Date.parse(revalidated.renderTime));
+
+  printGenerations(`Generations seen after revalidating on ${revalidated.hostname}`, afterAnalysis);
+
+  results.push({
+    name: propagationName,
+    description: propagationDescription,
+    status: outdated.length === 0 ? 'passed' : 'failed',
+    durationMs: Date.now() - startedAt,
+    message: outdated.length === 0
+      ? `Every sample shows the revalidated generation ${revalidated.renderTime} or newer`
+      : `${outdated.length} of ${sampleCount} samples still show a generation older than ${revalidated.renderTime}`,
+    details: { revalidation: revalidated, after: afterAnalysis },
+  });
+
+  return { results: results, revalidateSeconds: revalidateSeconds, samples: samples, afterSamples: afterSamples };
+}
+
+module.exports = {
+  options,
+  numericOptions,
+  usage,
+  run,
+};
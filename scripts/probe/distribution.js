@@ -0,0 +1,115 @@
+/**
+ * `distribution` Command - Reports how requests spread across replicas
+ *
+ * Sends N requests to /api/probe/ssr (or --path) and groups the responses by
+ * hostname, printing the count and percentage per replica, how many replicas
+ * were seen versus expected, and a skew score (see lib/distribution.js).
+ */
+
+const { fetchProbe } = require('./http');
+const { runPool } = require('../../lib/pool');
+const { summarizeDistribution } = require('../../lib/distribution');
+
+const options = {
+  requests: { type: 'string', default: '100' },
+  concurrency: { type: 'string', default: '5' },
+  expected: { type: 'string' },
+  'max-skew': { type: 'string', default: '0.5' },
+  path: { type: 'string', default: '/api/probe/ssr' },
+};
+
+const numericOptions = {
+  requests: { min: 1, integer: true },
+  concurrency: { min: 1, integer: true },
+  expected: { min: 1, integer: true },
+  'max-skew': { min: 0 },
+};
+
+const usage = `distribution <baseUrl> [--requests N] [--concurrency N] [--expected N] [--max-skew X] [--path PATH]
+
+  --requests N        Requests to send (default 100)
+  --concurrency N     Requests in flight at once (default 5)
+  --expected N        Replicas that should be serving (fails if fewer are seen)
+  --max-skew X        Highest acceptable skew score (default 0.5)
+  --path PATH         JSON route or page to sample (default /api/probe/ssr)`;
+
+const BAR_WIDTH = 40;
+
+/**
+ * Prints a text bar chart of the distribution.
+ */
+function printChart(distribution) {
+  const width = Math.max(...distribution.replicas.map((replica) => replica.hostname.length), 8);
+  for (const replica of distribution.replicas) {
+    const bar = '█'.repeat(Math.round((replica.percent / 100) * BAR_WIDTH));
+    console.log(`  ${replica.hostname.padEnd(width)} ${bar} ${replica.count} (${replica.percent}%)`);
+  }
+  console.log('');
+}
+
+async function run(baseUrl, values) {
+  const requestCount = Number(values.requests);
+  const expected = values.expected ? Number(values.expected) : null;
+  const maxSkew = Number(values['max-skew']);
+  const startedAt = Date.now();
+
+  const responses = await runPool(requestCount, Number(values.concurrency), async () => {
+    try {
+      const response = await fetchProbe(baseUrl, values.path);
+      return { hostname: response.props.hostname };
+    } catch (err) {
+      return { error: err.message };
+    }
+  });
+
+  const errors = responses.filter((response) => response.error);
+  const distribution = summarizeDistribution(
+    responses.filter((response) => !response.error).map((response) => response.hostname),
+    expected
+  );
+  const durationMs = Date.now() - startedAt;
+
+  printChart(distribution);
+
+  const results = [
+    {
+      name: 'requests-succeeded',
+      description: 'Every sampled request succeeded',
+      status: errors.length === 0 ? 'passed' : 'failed',
+      durationMs: durationMs,
+      message: `${distribution.total} of ${requestCount} requests succeeded`,
+      details: errors.length > 0 ? { firstErrors: errors.slice(0, 5).map((response) => response.error) } : undefined,
+    },
+    expected
+      ? {
+        name: 'replicas-seen',
+        description: 'Every expected replica served at least one request',
+        status: distribution.seen >= expected ? 'passed' : 'failed',
+        durationMs: 0,
+        message: `${distribution.seen} of ${expected} expected replicas seen`,
+      }
+      : {
+        name: 'replicas-seen',
+        description: 'Every expected replica served at least one request',
+        status: 'skipped',
+        durationMs: 0,
+        message: `Skipped: ${distribution.seen} replicas seen, pass --expected to check the count`,
+      },
+    {
+      name: 'skew',
+      description: 'Requests are spread evenly enough across replicas',
+      status: distribution.skew <= maxSkew ? 'passed' : 'failed',
+      durationMs: 0,
+      message: `Skew score ${distribution.skew} (max ${maxSkew})`,
+    },
+  ];
+
+  return { results: results, path: values.path, distribution: distribution };
+}
+
+module.exports = {
+  options,
+  numericOptions,
+  usage,
+  run,
+};
@@ -0,0 +1,99 @@
+/**
+ * HTTP Helpers for the Probe CLI
+ *
+ * Fetches probe pages from a deployed app and pulls the props that
+ * getServerSideProps/getStaticProps produced out of the HTML, so checks work
+ * against the real pages (and their caching) rather than a copy of the data.
+ */
+
+const { performance } = require('perf_hooks');
+
+// Next.js embeds the page props as JSON in this script tag
+const NEXT_DATA_PATTERN = /<script id="__NEXT_DATA__" type="application\/json"[^>]*>([\s\S]*?)<\/script>/;
+
+/**
+ * Waits for the given number of milliseconds.
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * fetchTimed - Fetches a URL and measures how long the full response took
+ *
+ * @param {string} baseUrl - The app's base URL, e.g. https://probe.example.com
+ * @param {string} path - The path to request, e.g. '/ssr'
+ * @param {object} [init] - Extra fetch() options
+ * @returns {Promise<object>} { url, status, headers, body, durationMs }
+ */
+async function fetchTimed(baseUrl, path, init) {
+  const url = new URL(path, baseUrl).toString();
+  const startedAt = performance.now();
+  const response = await fetch(url, init);
+  const body = await response.text();
+
+  return {
+    url: url,
+    status: response.status,
+    headers: response.headers,
+    body: body,
+    durationMs: Math.round((performance.now() - startedAt) * 100) / 100,
+  };
+}
+
+/**
+ * fetchPageProps - Fetches a Next.js page and returns its page props
+ *
+ * @param {string} baseUrl - The app's base URL
+ * @param {string} path - The page path, e.g. '/isr'
+ * @returns {Promise<object>} The fetchTimed() result plus a `props` field
+ * @throws {Error} If the request fails or the page has no __NEXT_DATA__
+ */
+async function fetchPageProps(baseUrl, path) {
+  const result = await fetchTimed(baseUrl, path);
+  if (result.status !== 200) {
+    throw new Error(`GET ${result.url} returned HTTP ${result.status}`);
+  }
+
+  const match = NEXT_DATA_PATTERN.exec(result.body);
+  if (!match) {
+    throw new Error(`GET ${result.url} did not return a Next.js page (no __NEXT_DATA__)`);
+  }
+
+  return { ...result, props: JSON.parse(match[1]).props.pageProps };
+}
+
+/**
+ * fetchProbe - Fetches probe data from a JSON route or a Next.js page
+ *
+ * JSON routes (such as /api/probe/ssr) are returned as parsed; pages are
+ * parsed with fetchPageProps(). Either way the data ends up in `props`.
+ *
+ * @param {string} baseUrl - The app's base URL
+ * @param {string} path - A JSON route or page path
+ * @returns {Promise<object>} The fetchTimed() result plus a `props` field
+ */
+async function fetchProbe(baseUrl, path) {
+  const result = await fetchTimed(baseUrl, path);
+  if (result.status !== 200) {
+    throw new Error(`GET ${result.url} returned HTTP ${result.status}`);
+  }
+
+  const contentType = result.headers.get('content-type') || '';
+  if (contentType.includes('application/json')) {
+    return { ...result, props: JSON.parse(result.body) };
+  }
+
+  const match = NEXT_DATA_PATTERN.exec(result.body);
+  if (!match) {
+    throw new Error(`GET ${result.url} returned neither JSON nor a Next.js page`);
+  }
+  return { ...result, props: JSON.parse(match[1]).props.pageProps };
+}
+
+module.exports = {
+  sleep,
+  fetchTimed,
+  fetchPageProps,
+  fetchProbe,
+};
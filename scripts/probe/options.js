@@ -0,0 +1,44 @@
+/**
+ * Numeric Option Validation for the Probe CLI
+ *
+ * parseArgs() only knows strings and booleans, so every command lists its
+ * numeric options in `numericOptions`, and the CLI checks them before the
+ * command runs. Number('abc') is NaN, and a NaN count or limit silently turns
+ * checks into no-ops that pass.
+ *
+ *   numericOptions = { requests: { min: 2, integer: true }, 'max-wait': { min: 0 } }
+ */
+
+/**
+ * validateNumericOptions - Checks the numeric options of a command
+ *
+ * Options that were not given and have no default are left alone.
+ *
+ * @param {object} values - The parsed option values
+ * @param {object} numericOptions - { name: { min, integer } }
+ * @returns {Array<string>} One message per invalid option, empty if all are valid
+ */
+function validateNumericOptions(values, numericOptions) {
+  const problems = [];
+
+  for (const [name, rule] of Object.entries(numericOptions || {})) {
+    const raw = values[name];
+    if (raw === undefined) {
+      continue;
+    }
+
+    const value = Number(raw);
+    const kind = rule.integer ? 'an integer' : 'a number';
+    if (raw.trim() === '' || !Number.isFinite(value) || (rule.integer && !Number.isInteger(value))) {
+      problems.push(`--${name} must be ${kind}, got "${raw}"`);
+    } else if (rule.min !== undefined && value < rule.min) {
+      problems.push(`--${name} must be ${kind} of at least ${rule.min}, got ${raw}`);
+    }
+  }
+
+  return problems;
+}
+
+module.exports = {
+  validateNumericOptions,
+};
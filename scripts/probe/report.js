@@ -0,0 +1,126 @@
+/**
+ * Report Writers for the Probe CLI
+ *
+ * Every command produces a list of check results:
+ *   { name, description, status: 'passed' | 'failed' | 'skipped', durationMs, message, details }
+ * These helpers print them and save them as JSON and JUnit XML so CI
+ * pipelines can archive and display them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const STATUS_ICONS = { passed: '✅', failed: '❌', skipped: '⏭️ ' };
+
+/**
+ * Escapes text for use in XML attributes and content.
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * summarize - Counts the results per status
+ *
+ * @param {Array<object>} results - The check results
+ * @returns {object} { total, passed, failed, skipped }
+ */
+function summarize(results) {
+  return {
+    total: results.length,
+    passed: results.filter((result) => result.status === 'passed').length,
+    failed: results.filter((result) => result.status === 'failed').length,
+    skipped: results.filter((result) => result.status === 'skipped').length,
+  };
+}
+
+/**
+ * printResults - Writes a human-readable summary to stdout
+ */
+function printResults(results) {
+  for (const result of results) {
+    console.log(`${STATUS_ICONS[result.status]} ${result.name} - ${result.message}`);
+  }
+
+  const summary = summarize(results);
+  console.log(`\n${summary.passed} passed, ${summary.failed} failed, ${summary.skipped} skipped`);
+}
+
+/**
+ * toJUnitXml - Renders the results as a JUnit XML test suite
+ *
+ * @param {string} suiteName - The test suite name
+ * @param {object} report - The report built by buildReport()
+ * @returns {string} The XML document
+ */
+function toJUnitXml(suiteName, report) {
+  const summary = report.summary;
+  const testcases = report.results.map((result) => {
+    const attributes = `classname="${escapeXml(suiteName)}" name="${escapeXml(result.name)}" time="${(result.durationMs / 1000).toFixed(3)}"`;
+    const details = result.details ? escapeXml(JSON.stringify(result.details, null, 2)) : '';
+
+    if (result.status === 'failed') {
+      return `  <testcase ${attributes}>\n    <failure message="${escapeXml(result.message)}">${details}</failure>\n  </testcase>`;
+    }
+    if (result.status === 'skipped') {
+      return `  <testcase ${attributes}>\n    <skipped message="${escapeXml(result.message)}"/>\n  </testcase>`;
+    }
+    return `  <testcase ${attributes}/>`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuite name="${escapeXml(suiteName)}" tests="${summary.total}" failures="${summary.failed}" skipped="${summary.skipped}" errors="0" time="${(report.durationMs / 1000).toFixed(3)}" timestamp="${report.startedAt}">`,
+    `  <properties>\n    <property name="baseUrl" value="${escapeXml(report.baseUrl)}"/>\n  </properties>`,
+    ...testcases,
+    '</testsuite>',
+    '',
+  ].join('\n');
+}
+
+/**
+ * buildReport - Wraps check results with metadata about the run
+ */
+function buildReport(command, baseUrl, startedAt, results, extra) {
+  return {
+    command: command,
+    baseUrl: baseUrl,
+    startedAt: new Date(startedAt).toISOString(),
+    durationMs: Date.now() - startedAt,
+    summary: summarize(results),
+    results: results,
+    ...extra,
+  };
+}
+
+/**
+ * writeReports - Saves the report as <command>.json and <command>.junit.xml
+ *
+ * @param {string} outDir - The directory to write to (created if missing)
+ * @param {object} report - The report built by buildReport()
+ * @returns {Array<string>} The paths of the written files
+ */
+function writeReports(outDir, report) {
+  fs.mkdirSync(outDir, { recursive: true });
+
+  const jsonPath = path.join(outDir, `${report.command}.json`);
+  const junitPath = path.join(outDir, `${report.command}.junit.xml`);
+
+  fs.writeFileSync(jsonPath, JSON.stringify(report, null, 2) + '\n');
+  fs.writeFileSync(junitPath, toJUnitXml(`nextjs-probe.${report.command}`, report));
+
+  return [jsonPath, junitPath];
+}
+
+module.exports = {
+  summarize,
+  printResults,
+  toJUnitXml,
+  buildReport,
+  writeReports,
+};
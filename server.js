@@ -0,0 +1,94 @@
+/**
+ * Custom Next.js Server with Graceful Shutdown
+ *
+ * `next start` exits as soon as it receives SIGTERM, dropping in-flight
+ * requests. This server wraps the same Next.js app with the shutdown
+ * handling from lib/lifecycle.js, and answers two routes itself:
+ *
+ * - GET /healthz  Liveness: the process is up
+ * - GET /readyz   Readiness: 503 once shutdown has started
+ *
+ * It also serves the WebSocket probe at /ws (see lib/websocket.js), keeps
+ * the X-Forwarded-* headers as the proxy sent them (see lib/request-info.js)
+ * records boot and first-response timing (see lib/boot.js), samples
+ * event-loop lag from boot (see lib/resources.js), counts requests for
+ * /api/metrics (see lib/metrics.js) and gives every request an ID and trace
+ * context for the logs (see lib/log.js).
+ *
+ * USAGE:
+ *   npm run build && npm start     (PORT defaults to 3000)
+ *   npm run start:next             (plain `next start`, no graceful shutdown)
+ */
+
+// This server always runs the production build
+process.env.NODE_ENV = process.env.NODE_ENV || 'production';
+
+const http = require('http');
+const { performance } = require('perf_hooks');
+const next = require('next');
+const { createLifecycle, endStreams } = require('./lib/lifecycle');
+const { logEvent, runWithRequestContext } = require('./lib/log');
+const { attachWebSocketProbe } = require('./lib/websocket');
+const { snapshotForwardedHeaders } = require('./lib/request-info');
+const { recordNextPrepared, recordFirstResponse, getBootInfo } = require('./lib/boot');
+const { startEventLoopMonitor } = require('./lib/resources');
+const { routeLabel, recordRequest } = require('./lib/metrics');
+
+const PORT = Number(process.env.PORT) || 3000;
+
+const lifecycle = createLifecycle('next');
+const app = next({ dev: false });
+const handle = app.getRequestHandler();
+
+/**
+ * Sends a JSON response.
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body));
+}
+
+const prepareStartedAt = Date.now();
+startEventLoopMonitor();
+
+app.prepare().then(() => {
+  recordNextPrepared(prepareStartedAt);
+
+  const server = http.createServer((req, res) => {
+    const receivedAt = performance.now();
+    const path = req.url.split('?')[0];
+    if (path === '/healthz') {
+      return sendJson(res, 200, { status: 'ok' });
+    }
+    if (path === '/readyz') {
+      const readiness = lifecycle.getReadiness();
+      return sendJson(res, readiness.statusCode, readiness.body);
+    }
+
+    // Health checks are not traffic, so only the requests below count as in flight
+    lifecycle.trackRequest(res);
+    res.on('finish', () => {
+      const durationMs = performance.now() - receivedAt;
+      recordFirstResponse(path, durationMs);
+      recordRequest(routeLabel(path), res.statusCode, durationMs / 1000);
+    });
+    // Next.js fills in missing X-Forwarded-* headers, keep what the proxy sent
+    snapshotForwardedHeaders(req);
+    // Renders and the ISR regenerations they trigger log this request's ID
+    runWithRequestContext(req, res, () => handle(req, res));
+  });
+
+  const websockets = attachWebSocketProbe(server, '/ws');
+
+  server.listen(PORT, () => {
+    logEvent('listening', { server: 'next', port: PORT, readyAfterMs: getBootInfo().readyAfterMs });
+  });
+
+  lifecycle.addShutdownHook(() => websockets.closeAll());
+  lifecycle.addShutdownHook(() => endStreams());
+  lifecycle.installShutdownHandlers(server);
+}).catch((err) => {
+  // e.g. no production build: run `npm run build` first
+  logEvent('prepare-failed', { server: 'next', message: err.message, stack: err.stack });
+  process.exit(1);
+});